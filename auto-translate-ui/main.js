@@ -1,5 +1,4 @@
-const { Plugin, PluginSettingTab, Setting, Notice } = require('obsidian');
-const crypto = require('crypto');
+const { Plugin, PluginSettingTab, Setting, Notice, Modal, FuzzySuggestModal, ItemView, Menu, ToggleComponent, DropdownComponent, TextComponent, ButtonComponent, Platform, requestUrl } = require('obsidian');
 
 /** Simple LRU cache */
 class LRU {
@@ -10,16 +9,23 @@ class LRU {
 }
 
 const DEFAULT_SETTINGS = {
+  settingsVersion: 2, // bump together with a new entry in SETTINGS_MIGRATIONS
   enabled: true,
-  provider: 'azure', // 'azure' | 'google' | 'deepl'
+  provider: 'azure', // 'azure' | 'google' | 'deepl' | 'libre' | 'llm' | 'pseudo'
   sourceLang: 'auto',
   targetLang: 'ko',
-  mode: 'replace', // 'replace' | 'inline' | 'tooltip' (UI prepared; replace by default)
+  mode: 'replace', // 'replace' | 'bilingual' | 'tooltip' ('inline' is the old name of bilingual)
+  // named sets of targetLang / provider / mode; the active one mirrors the three top-level fields
+  profiles: [ /* { name: 'Korean', targetLang: 'ko', provider: 'deepl', mode: 'replace' } */ ],
+  activeProfile: '',
   offlineOnly: false,
   apiKeys: {
     azure: { key: '', region: '', endpoint: 'https://api.cognitive.microsofttranslator.com' },
     google: { key: '' },
-    deepl: { key: '', endpoint: 'https://api-free.deepl.com' }
+    deepl: { key: '', endpoint: 'https://api-free.deepl.com' },
+    libre: { key: '', endpoint: 'http://localhost:5000' },
+    llm: { key: '', endpoint: 'http://localhost:11434/v1', model: 'llama3.1', prompt: '', batchSize: 20 },
+    pseudo: { accents: true, brackets: true, expansion: 30 } // expansion: % of extra length
   },
   includeSelectors: [
     '.setting-item-name',
@@ -36,21 +42,316 @@ const DEFAULT_SETTINGS = {
     '.checkbox-container', '.svg-icon',
     '[data-autotrans-ignore] *'
   ],
+  surfaces: [ /* extra containers to watch besides modals, e.g. '.workspace-leaf-content[data-type="my-view"]' */ ],
+  uiSurfaces: { commandPalette: false, menus: false, ribbon: false, statusBar: false, notices: false },
   pluginSelectors: { /* pluginId: ['.my-selector', 'select>option'] */ },
+  pluginOptions: { /* pluginId: { enabled: true, mode: 'inherit' | 'replace' | 'bilingual' | 'tooltip' } */ },
   rateLimit: { rps: 4, batchSize: 20 },
+  fallbackProviders: [ /* tried in order when the main provider fails, e.g. 'google', 'azure' */ ],
+  retry: { maxRetries: 3, baseDelayMs: 1000, failureThreshold: 3, cooldownSec: 300, laterSec: 60 },
+  budgets: { /* provider: monthly character cap, 0 or missing = unlimited */ },
+  usage: { /* provider: { days: { 'YYYY-MM-DD': chars }, months: { 'YYYY-MM': chars } } */ },
+  budgetOfflineMonth: '', // month in which the budget switched on cache-only; lifted when a new month starts
   cacheLimit: 5000,
+  autoUpdateCache: false, // crawl added/updated plugin tabs on startup instead of only notifying
+  packFolder: '', // where translation packs are exported/imported; empty = <plugin dir>/packs
+  packConflict: 'newest', // 'mine' | 'theirs' | 'newest'
+  skip: { targetScript: true, numeric: true, codeLike: true, minLength: 2 }, // pre-filter: never sent to a provider
+  glossary: [ /* { term: 'Vault', translation: '', keep: true } */ ],
 };
 
 /** Utility */
-function sha1(s) { return crypto.createHash('sha1').update(s).digest('hex'); }
+/**
+ * SHA-1 hex digest of the UTF-8 bytes of s. Plain JS because Node's crypto is missing on mobile and Web Crypto is
+ * async; the output is identical to crypto.createHash('sha1'), so existing cache keys stay valid.
+ */
+function sha1(s) {
+  const bytes = new TextEncoder().encode(s); const len = bytes.length;
+  const words = new Uint32Array((((len + 8) >> 6) + 1) * 16);
+  for (let i = 0; i < len; i++) words[i >> 2] |= bytes[i] << (24 - (i & 3) * 8);
+  words[len >> 2] |= 0x80 << (24 - (len & 3) * 8);
+  words[words.length - 2] = Math.floor(len / 0x20000000); words[words.length - 1] = (len * 8) >>> 0; // length in bits
+  const h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0]; const w = new Uint32Array(80);
+  for (let off = 0; off < words.length; off += 16) {
+    for (let t = 0; t < 80; t++) w[t] = t < 16 ? words[off + t] : ((x => (x << 1) | (x >>> 31))(w[t - 3] ^ w[t - 8] ^ w[t - 14] ^ w[t - 16]));
+    let [a, b, c, d, e] = h;
+    for (let t = 0; t < 80; t++) {
+      const f = t < 20 ? (b & c) | (~b & d) : t < 40 || t >= 60 ? b ^ c ^ d : (b & c) | (b & d) | (c & d);
+      const k = t < 20 ? 0x5a827999 : t < 40 ? 0x6ed9eba1 : t < 60 ? 0x8f1bbcdc : 0xca62c1d6;
+      const tmp = (((a << 5) | (a >>> 27)) + f + e + k + w[t]) >>> 0;
+      e = d; d = c; c = ((b << 30) | (b >>> 2)) >>> 0; b = a; a = tmp;
+    }
+    h[0] = (h[0] + a) >>> 0; h[1] = (h[1] + b) >>> 0; h[2] = (h[2] + c) >>> 0; h[3] = (h[3] + d) >>> 0; h[4] = (h[4] + e) >>> 0;
+  }
+  return h.map(x => x.toString(16).padStart(8, '0')).join('');
+}
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
-function isElementVisible(el) {
-  if (!el) return false; const rect = el.getBoundingClientRect();
-  return rect.width > 0 && rect.height > 0;
+/** Pause between provider requests for the configured requests per second (never under 250 ms) */
+function rateInterval(rateLimit) { return Math.max(250, Math.floor(1000 / Math.max(1, rateLimit?.rps || 4))); }
+/** Local calendar day, YYYY-MM-DD (usage is accounted per local day/month) */
+function dayKey(d = new Date()) { const p = n => String(n).padStart(2, '0'); return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())}`; }
+function escapeRegExp(s) { return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
+
+/**
+ * Inline structure. Elements with links/code/kbd inside are translated as placeholder markup
+ * ("Click <x0>here</x0> or press <x1/>") and rebuilt from their original child nodes.
+ */
+const INLINE_TAGS = new Set(['A', 'STRONG', 'B', 'EM', 'I', 'U', 'S', 'SPAN', 'MARK', 'SMALL', 'SUB', 'SUP']);
+const OPAQUE_TAGS = new Set(['CODE', 'KBD', 'PRE', 'SAMP', 'VAR', 'BR', 'IMG', 'SVG', 'INPUT', 'SELECT', 'TEXTAREA', 'BUTTON']);
+function tagOf(n) { return (n.tagName || '').toUpperCase(); }
+/** 'plain' (text only) | 'markup' (flat inline children) | 'nodes' (anything deeper: one unit per text node) */
+function inlineStructure(el) {
+  let hasEl = false;
+  for (const n of el.childNodes) {
+    if (n.nodeType !== 1) continue; hasEl = true;
+    const tag = tagOf(n);
+    if (OPAQUE_TAGS.has(tag)) continue;
+    if (INLINE_TAGS.has(tag) && !n.firstElementChild) continue;
+    return 'nodes';
+  }
+  return hasEl ? 'markup' : 'plain';
+}
+function toMarkup(el) {
+  const parts = []; let s = '';
+  for (const n of el.childNodes) {
+    if (n.nodeType === 3) { if (/[<>]/.test(n.nodeValue)) return null; s += n.nodeValue; }
+    else if (n.nodeType === 1) {
+      const i = parts.push(n) - 1;
+      if (OPAQUE_TAGS.has(tagOf(n))) s += `<x${i}/>`;
+      else { if (/[<>]/.test(n.textContent)) return null; s += `<x${i}>${n.textContent}</x${i}>`; }
+    }
+  }
+  return { src: s.replace(/\s+/g, ' ').trim(), parts };
+}
+/** Parses translated markup back into [{ node, text }] / Text nodes; null when a placeholder was lost or duplicated */
+function fromMarkup(dst, parts) {
+  const re = /<x(\d+)\s*\/>|<x(\d+)>([\s\S]*?)<\/x\2\s*>/g;
+  const out = []; const seen = new Set(); let last = 0; let m;
+  const pushText = t => { if (/<\/?x\d+/.test(t)) return false; if (t) out.push(document.createTextNode(t)); return true; };
+  while ((m = re.exec(dst))) {
+    if (!pushText(dst.slice(last, m.index))) return null;
+    const i = Number(m[1] ?? m[2]);
+    if (!parts[i] || seen.has(i)) return null; seen.add(i);
+    out.push({ node: parts[i], text: m[1] == null ? m[3] : null });
+    last = re.lastIndex;
+  }
+  if (!pushText(dst.slice(last))) return null;
+  return seen.size === parts.length ? out : null;
+}
+
+/**
+ * App UI outside settings pages, each behind its own toggle. root is watched like a modal and targets join the
+ * include selectors while the surface is on. The command palette has no root: its suggestions are translated by
+ * command name through a patch of the palette modal (see patchCommandPalette).
+ */
+const UI_SURFACES = {
+  commandPalette: { label: 'Command palette', desc: 'Command names. Search matches both the original and the translated name.' },
+  menus: { label: 'Menus', desc: 'Context and file menus', root: '.menu', targets: ['.menu-item-title'] },
+  ribbon: { label: 'Ribbon', desc: 'Ribbon icon tooltips', root: '.workspace-ribbon', targets: ['.side-dock-ribbon-action'] },
+  statusBar: { label: 'Status bar', desc: 'Status bar items', root: '.status-bar', targets: ['.status-bar-item'] },
+  notices: { label: 'Notices', desc: 'Notice popups', root: '.notice-container', targets: ['.notice'] },
+};
+
+/** Render modes; 'inline' was renamed to 'bilingual' */
+const RENDER_MODES = { replace: 'Replace (default)', bilingual: 'Bilingual (original + translation)', tooltip: 'Tooltip only' };
+function normalizeMode(m) { return m === 'inline' ? 'bilingual' : (RENDER_MODES[m] ? m : 'replace'); }
+function stripMarkup(s) { return String(s).replace(/<\/?x\d+\s*\/?>/g, ''); }
+
+/**
+ * Protected spans: placeholders, date formats, hotkeys, paths, regexes, URLs and numbers are
+ * masked as ⟦P0⟧ before the provider call so they come back byte-for-byte.
+ */
+const MOMENT_TOKEN = '(?:Y{2,4}|M{1,4}|D{1,4}|d{1,4}|H{1,2}|h{1,2}|m{1,2}|s{1,2}|Q|W{1,2}|w{1,2})';
+const HOTKEY_MOD = '(?:Ctrl|Control|Cmd|Command|Alt|Option|Opt|Shift|Mod|Meta|Win|Super|⌘|⇧|⌥|⌃)';
+// a key after "+": one character, an F-key or a named key, so "Shift + drag" keeps "drag" as text
+const HOTKEY_KEY = '(?:(?:F\\d{1,2}|Enter|Return|Tab|Esc(?:ape)?|Space|Backspace|Delete|Del|Insert|Home|End|Page ?(?:Up|Down)|PgUp|PgDn|(?:Arrow)?(?:Up|Down|Left|Right))(?!\\w)|\\w(?!\\w)|[^\\s\\w])';
+const PROTECTED_SPANS = [
+  /`[^`\n]+`/,                                                  // inline code
+  /\bhttps?:\/\/[^\s<>"'`)\]]+[^\s<>"'`)\].,;:!?]/,                  // URLs
+  /\{\{[^{}]*\}\}|\$\{[^{}]*\}|\{[\w.-]*\}|%(?:\d+\$)?[sdif]/,          // {{date}}, ${var}, {0}, %s
+  new RegExp(`\\b${MOMENT_TOKEN}(?:[-/.:_, ]{1,2}${MOMENT_TOKEN})+\\b`),  // YYYY-MM-DD, HH:mm
+  new RegExp(`${HOTKEY_MOD}(?:\\s*\\+\\s*(?:${HOTKEY_MOD}(?!\\w)|${HOTKEY_KEY}))+`), // Ctrl+Shift+P
+  /(?<![\w/])\/(?=[^/\s]*[\\^$*+?()[\]{}|])(?:\\.|[^/\s\\])+\/[gimsuy]*/,  // /regex/flags
+  // paths need an anchor (/, ~/, ./, C:\), a file extension or two separators, so "Input/Output" and "and/or" stay text
+  /(?<![\w/.])(?:(?:~|\.{1,2}|[A-Za-z]:)?[\\/](?:[\w.@-]+[\\/])*[\w.@-]+[\\/]?|[\w.@-]+(?:[\\/][\w.@-]+){2,}[\\/]?|(?:[\w@-]+[\\/])+[\w@-]+\.[A-Za-z0-9]{1,5})(?![\w/])/,
+  /\b[\w-]+\.(?:md|canvas|json|css|js|ts|ya?ml|txt|html|png|jpe?g|gif|svg|pdf)\b/, // file names
+  /#[0-9a-fA-F]{3,8}\b/,                                        // hex colors
+  /(?<![\p{L}\d])[-+]?\d+(?:[.,:]\d+)*(?:%|px|ms|KB|MB|GB)?(?![\p{L}\d])/, // numbers, versions
+];
+const MARKER_RE = '⟦[^⟧]*⟧|<\\/?x\\d+\\s*\\/?>';
+const PROTECT_RE = new RegExp(`(${MARKER_RE})|${PROTECTED_SPANS.map(r => `(?:${r.source})`).join('|')}`, 'gu');
+function maskSpans(text) {
+  const slots = [];
+  const out = text.replace(PROTECT_RE, (m, marker) => { if (marker) return m; slots.push(m); return `⟦P${slots.length - 1}⟧`; });
+  return { text: out, slots };
 }
+/** Puts slot values back for ⟦<kind>N⟧ markers; null when a marker was dropped, duplicated or invented */
+function fillMarkers(text, kind, slots) {
+  if (!slots.length) return text;
+  const seen = new Set(); let ok = true;
+  const out = text.replace(new RegExp(`⟦\\s*${kind}\\s*(\\d+)\\s*⟧`, 'g'), (m, i) => {
+    if (seen.has(i) || slots[+i] == null) { ok = false; return m; }
+    seen.add(i); return slots[+i];
+  });
+  return ok && seen.size === slots.length ? out : null;
+}
+/**
+ * Values that change between otherwise identical strings ("Indexed 1,234 files", "Version 1.4.2 available").
+ * The cache key and the provider see one template with ⟦V0⟧ slots; the values go back in on the way out.
+ */
+const TEMPLATE_SLOTS = [
+  /"[^"\n<>]{1,80}"|“[^”\n<>]{1,80}”|‘[^’\n<>]{1,80}’|«[^»\n<>]{1,80}»/,        // quoted names
+  /(?<![\p{L}\d'])'[^'\n<>]{1,80}'(?![\p{L}\d])/,                              // 'single quoted', not apostrophes
+  /(?<![\p{L}\d])v?\d+(?:\.\d+){1,3}(?:-[\w.]+)?(?![\p{L}\d])/,                  // versions
+  /(?<![\p{L}\d])[-+]?\d+(?:[.,:]\d+)*(?:%|px|ms|KB|MB|GB)?(?![\p{L}\d])/,       // counts, sizes, times
+];
+const TEMPLATE_RE = new RegExp(`(${MARKER_RE})|${TEMPLATE_SLOTS.map(r => `(?:${r.source})`).join('|')}`, 'gu');
+function toTemplate(text) {
+  const slots = [];
+  const out = text.replace(TEMPLATE_RE, (m, marker) => { if (marker) return m; slots.push(m); return `⟦V${slots.length - 1}⟧`; });
+  return { text: out, slots };
+}
+/**
+ * Template form of a raw source/translation pair (e.g. from an older pack); null if a value is missing from the
+ * translation, or if the translation does not keep every ⟦V⟧ placeholder of the source exactly once
+ */
+function templatePair(source, translation) {
+  const t = toTemplate(source);
+  let dst = translation;
+  for (let i = 0; i < t.slots.length; i++) {
+    // first occurrence outside markers that is not part of a longer number ("3" in "30")
+    const re = new RegExp(`(⟦[^⟧]*⟧)|(?<!\\d)${escapeRegExp(t.slots[i])}(?!\\d)`, 'gu');
+    let found = false;
+    dst = dst.replace(re, (m, marker) => { if (marker || found) return m; found = true; return `⟦V${i}⟧`; });
+    if (!found) return null;
+  }
+  const n = slotCount(t.text);
+  if (slotCount(dst) !== n || fillMarkers(dst, 'V', new Array(n).fill('')) == null) return null;
+  return { source: t.text, translation: dst };
+}
+/** Number of ⟦V⟧ slots a cached template carries */
+function slotCount(template) { return (template.match(/⟦V\d+⟧/g) || []).length; }
+/** Short labels ("Mode", "Open", "Left") are the strings whose translation can depend on where they appear */
+function isShortLabel(text) { const t = toTemplate(text).text.trim(); return t.length <= 32 && t.split(/\s+/).length <= 3; }
+
+/** Anything left to translate once markers and markup are taken out? */
+function hasTranslatableText(masked) { return /\p{L}/u.test(masked.replace(new RegExp(MARKER_RE, 'g'), '')); }
+
+/**
+ * Pre-filter for strings that need no translation: already in the target script, numbers/symbols/emoji,
+ * identifiers and colors, or too short. Returns the reason, or null when the string should be translated.
+ */
+const TARGET_SCRIPTS = {
+  ko: /\p{Script=Hangul}/u, ja: /[\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Han}]/u, zh: /\p{Script=Han}/u,
+  ru: /\p{Script=Cyrillic}/u, uk: /\p{Script=Cyrillic}/u, bg: /\p{Script=Cyrillic}/u, sr: /\p{Script=Cyrillic}/u,
+  el: /\p{Script=Greek}/u, ar: /\p{Script=Arabic}/u, fa: /\p{Script=Arabic}/u, he: /\p{Script=Hebrew}/u,
+  th: /\p{Script=Thai}/u, hi: /\p{Script=Devanagari}/u,
+};
+/** ids (optional Set) are installed plugin and command ids, code even when they read like words ("obsidian-git") */
+function skipReason(text, rules, target, ids = null) {
+  const plain = stripMarkup(text).trim();
+  if (plain.length < (rules.minLength ?? 2)) return 'short';
+  const letters = plain.match(/\p{L}/gu) || [];
+  if (rules.numeric !== false && !letters.length) return 'numeric'; // numbers, symbols, emoji
+  if (rules.numeric !== false && /^v?\d+(?:\.\d+)+(?:[-+][\w.]+)?$/i.test(plain)) return 'numeric'; // versions
+  const script = TARGET_SCRIPTS[String(target || '').toLowerCase().split(/[-_]/)[0]];
+  if (rules.targetScript !== false && script) {
+    const hits = letters.filter(ch => script.test(ch)).length;
+    if (hits / letters.length >= 0.5) return 'target';
+  }
+  if (rules.codeLike !== false && (
+    /^#[0-9a-f]{3,8}$/i.test(plain)                          // hex colors
+    || !!ids?.has(plain)                                     // installed plugin and command ids
+    // plugin-id, snake_case, file.ext; a plain two-part word ("read-only", "built-in") is text
+    || (/^[a-z0-9]+(?:[-_.][a-z0-9]+)+$/.test(plain) && (/[\d_.]/.test(plain) || plain.split('-').length > 2))
+    || /^[a-z]+(?:[A-Z][a-z0-9]*)+$/.test(plain)             // camelCase
+    || /^[A-Z0-9]+(?:_[A-Z0-9]+)+$/.test(plain)              // CONSTANT_CASE
+    || /^(?:https?:\/\/|www\.)\S+$/i.test(plain)             // bare URLs
+    || /^(?:~|\.{1,2})?\/[\w.\/-]*$|^[\w.-]+(?:\/[\w.-]+)*\/[\w-]+\.\w+$/.test(plain) // bare paths (not "Input/Output")
+  )) return 'code';
+  return null;
+}
+
+/**
+ * User glossary: terms with a fixed translation or marked do-not-translate (keep).
+ * Matches are swapped for ⟦G0⟧-style markers before the provider call and put back afterwards.
+ */
+class Glossary {
+  constructor(plugin) { this.plugin = plugin; this.entries = []; this.compile(); }
+  compile() {
+    const list = (this.plugin.settings.glossary || []).filter(g => g && typeof g.term === 'string' && g.term.trim());
+    // longest first so "Canvas card" wins over "Canvas"
+    this.entries = list.map(g => ({ term: g.term.trim(), translation: (g.translation || '').trim(), keep: !!g.keep || !(g.translation || '').trim() }))
+      .sort((a, b) => b.term.length - a.term.length);
+    this.byTerm = new Map(this.entries.map(g => [g.term.toLowerCase(), g]));
+    this.re = this.entries.length ? new RegExp(`(?<![\\p{L}\\p{N}_])(?:${this.entries.map(g => escapeRegExp(g.term)).join('|')})(?![\\p{L}\\p{N}_])`, 'giu') : null;
+  }
+  matches(text) {
+    if (!this.re) return [];
+    const hit = new Set(); for (const m of text.matchAll(this.re)) hit.add(this.byTerm.get(m[0].toLowerCase()));
+    return Array.from(hit).filter(Boolean);
+  }
+  /** Cache-key suffix: only texts containing a term depend on the glossary, so editing a term invalidates just those entries */
+  signature(text) { return this.matches(text).map(g => `${g.term}=${g.keep ? '' : g.translation}`).join(';'); }
+  protect(text) {
+    const slots = [];
+    if (!this.re) return { text, slots };
+    const out = text.replace(this.re, m => { const g = this.byTerm.get(m.toLowerCase()); slots.push(g.keep ? m : g.translation); return `⟦G${slots.length - 1}⟧`; });
+    return { text: out, slots };
+  }
+  restore(text, slots) { return fillMarkers(text, 'G', slots); }
+}
+
+/** Offered when a provider cannot list its languages (LLMs, offline, no key yet) */
+const COMMON_TARGETS = ['ko', 'ja', 'zh-CN', 'zh-TW', 'en', 'de', 'fr', 'es', 'it', 'pt', 'pt-BR', 'ru', 'uk', 'pl', 'nl', 'sv', 'tr', 'vi', 'th', 'id', 'ar', 'hi'];
 
 /** Provider base */
-class Provider { constructor(plugin) { this.plugin = plugin; } async translateMany(texts, source, target) { throw new Error('Not implemented'); } }
+class Provider {
+  constructor(plugin) { this.plugin = plugin; }
+  /** contexts (optional, same order as texts) say where each string appears; providers without context support ignore them */
+  async translateMany(texts, source, target, contexts) { throw new Error('Not implemented'); }
+  /** Supported target languages as [{ code, name }] */
+  async languages() { return COMMON_TARGETS.map(code => ({ code, name: languageName(code) })); }
+  /**
+   * For APIs that take one context per request: one call per distinct context, results back in input order.
+   * The calls are spaced by the rate limit, since a batch can hold several contexts.
+   */
+  async byContext(texts, contexts, run) {
+    const groups = new Map();
+    texts.forEach((t, i) => { const c = contexts?.[i] || ''; if (!groups.has(c)) groups.set(c, []); groups.get(c).push(i); });
+    const out = new Array(texts.length); let n = 0;
+    for (const [context, idx] of groups) {
+      if (n++) await sleep(rateInterval(this.plugin.settings.rateLimit));
+      const res = await run(idx.map(i => texts[i]), context); idx.forEach((i, j) => { out[i] = res[j]; });
+    }
+    return out;
+  }
+}
+
+/** HTTP failure with the status and Retry-After (seconds) the chain needs to decide on a retry */
+class ProviderError extends Error {
+  constructor(provider, status, retryAfter) { super(`${provider} ${status}`); this.provider = provider; this.status = status; this.retryAfter = retryAfter; }
+}
+function providerError(provider, res) {
+  const ra = res.headers?.get?.('Retry-After');
+  let sec = ra == null ? NaN : Number(ra);
+  if (ra != null && Number.isNaN(sec)) sec = (Date.parse(ra) - Date.now()) / 1000; // HTTP-date form
+  return new ProviderError(provider, res.status, Number.isFinite(sec) ? Math.max(0, sec) : null);
+}
+/** 429, 5xx and network errors are worth retrying; bad keys and 4xx are not */
+function isRetryable(e) { return e instanceof TypeError || (e instanceof ProviderError && (e.status === 429 || e.status >= 500)); }
+
+/**
+ * Obsidian's requestUrl (no CORS, works on mobile) with the small part of the fetch Response the providers use.
+ * Network failures become TypeErrors, as they are with fetch, so the chain still retries them.
+ */
+async function http(url, { method = 'GET', headers = {}, body } = {}) {
+  let res;
+  try { res = await requestUrl({ url, method, headers, body, contentType: headers['Content-Type'], throw: false }); }
+  catch (e) { throw new TypeError(e?.message || String(e)); }
+  const head = Object.fromEntries(Object.entries(res.headers || {}).map(([k, v]) => [k.toLowerCase(), v]));
+  return { ok: res.status >= 200 && res.status < 300, status: res.status, headers: { get: name => head[name.toLowerCase()] ?? null }, json: async () => res.json, text: async () => res.text };
+}
 
 /** Azure Translator */
 class AzureProvider extends Provider {
@@ -63,7 +364,7 @@ class AzureProvider extends Provider {
     if (source && source !== 'auto') url.searchParams.set('from', source);
 
     const body = texts.map(t => ({ Text: t }));
-    const res = await fetch(url.toString(), {
+    const res = await http(url.toString(), {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json; charset=UTF-8',
@@ -72,10 +373,17 @@ class AzureProvider extends Provider {
       },
       body: JSON.stringify(body),
     });
-    if (!res.ok) throw new Error(`Azure ${res.status}`);
+    if (!res.ok) throw providerError('Azure', res);
     const data = await res.json();
     return data.map(item => (item.translations && item.translations[0] ? item.translations[0].text : ''));
   }
+  async languages() {
+    const url = new URL('/languages', this.plugin.settings.apiKeys.azure.endpoint || 'https://api.cognitive.microsofttranslator.com');
+    url.searchParams.set('api-version', '3.0'); url.searchParams.set('scope', 'translation');
+    const res = await http(url.toString(), { headers: { 'Accept-Language': 'en' } });
+    if (!res.ok) throw providerError('Azure', res);
+    return Object.entries((await res.json()).translation || {}).map(([code, l]) => ({ code, name: l.name || code }));
+  }
 }
 
 /** Google Cloud Translation v2 */
@@ -89,16 +397,26 @@ class GoogleProvider extends Provider {
 
     const form = new URLSearchParams();
     texts.forEach(t => form.append('q', t));
-    const res = await fetch(url.toString(), { method: 'POST', headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, body: form.toString() });
-    if (!res.ok) throw new Error(`Google ${res.status}`);
+    const res = await http(url.toString(), { method: 'POST', headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, body: form.toString() });
+    if (!res.ok) throw providerError('Google', res);
     const data = await res.json();
     return (data.data?.translations || []).map(tr => tr.translatedText || '');
   }
+  async languages() {
+    const key = this.plugin.settings.apiKeys.google.key; if (!key) return super.languages();
+    const url = new URL('https://translation.googleapis.com/language/translate/v2/languages');
+    url.searchParams.set('key', key); url.searchParams.set('target', 'en');
+    const res = await http(url.toString());
+    if (!res.ok) throw providerError('Google', res);
+    return ((await res.json()).data?.languages || []).map(l => ({ code: l.language, name: l.name || l.language }));
+  }
 }
 
 /** DeepL API Free */
 class DeepLProvider extends Provider {
-  async translateMany(texts, source, target) {
+  // context is a single, unbilled string per request, so strings are sent in groups that share one
+  async translateMany(texts, source, target, contexts) { return this.byContext(texts, contexts, (group, context) => this.request(group, source, target, context)); }
+  async request(texts, source, target, context) {
     const { key, endpoint } = this.plugin.settings.apiKeys.deepl; if (!key) throw new Error('DeepL key missing');
     const tgt = (target || 'ko').toUpperCase();
     const url = new URL('/v2/translate', endpoint || 'https://api-free.deepl.com');
@@ -106,57 +424,503 @@ class DeepLProvider extends Provider {
     texts.forEach(t => form.append('text', t));
     form.append('target_lang', tgt);
     if (source && source !== 'auto') form.append('source_lang', source.toUpperCase());
-    const res = await fetch(url.toString(), {
+    if (context) form.append('context', context);
+    const res = await http(url.toString(), {
       method: 'POST',
       headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Authorization': `DeepL-Auth-Key ${key}` },
       body: form.toString(),
     });
-    if (!res.ok) throw new Error(`DeepL ${res.status}`);
+    if (!res.ok) throw providerError('DeepL', res);
     const data = await res.json();
     return (data.translations || []).map(tr => tr.text || '');
   }
+  async languages() {
+    const { key, endpoint } = this.plugin.settings.apiKeys.deepl; if (!key) return super.languages();
+    const url = new URL('/v2/languages', endpoint || 'https://api-free.deepl.com'); url.searchParams.set('type', 'target');
+    const res = await http(url.toString(), { headers: { 'Authorization': `DeepL-Auth-Key ${key}` } });
+    if (!res.ok) throw providerError('DeepL', res);
+    // DeepL codes are upper case (KO, EN-US); translateMany upper-cases the target again
+    return (await res.json()).map(l => ({ code: l.language.toLowerCase(), name: l.name || l.language }));
+  }
 }
 
-/** Queue + rate limit */
+/** LibreTranslate (self-hosted or public instance) */
+class LibreTranslateProvider extends Provider {
+  async translateMany(texts, source, target) {
+    const { key, endpoint } = this.plugin.settings.apiKeys.libre; if (!endpoint) throw new Error('LibreTranslate endpoint missing');
+    const url = new URL('translate', endpoint.replace(/\/?$/, '/'));
+    const body = { q: texts, source: source && source !== 'auto' ? source : 'auto', target, format: 'text', ...(key ? { api_key: key } : {}) };
+    const res = await http(url.toString(), { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    if (!res.ok) throw providerError('LibreTranslate', res);
+    const data = await res.json();
+    const out = Array.isArray(data.translatedText) ? data.translatedText : [data.translatedText];
+    return out.map(t => t || '');
+  }
+  async languages() {
+    const { endpoint } = this.plugin.settings.apiKeys.libre; if (!endpoint) return super.languages();
+    const res = await http(new URL('languages', endpoint.replace(/\/?$/, '/')).toString());
+    if (!res.ok) throw providerError('LibreTranslate', res);
+    return (await res.json()).map(l => ({ code: l.code, name: l.name || l.code }));
+  }
+}
+
+const DEFAULT_LLM_PROMPT = 'You translate user-interface strings of Obsidian and its plugins from {{source}} to {{target}}. '
+  + 'The user message is a JSON array of strings. Reply with only a JSON array of the same length, holding the translations in the same order. '
+  + 'Keep markers like ⟦P0⟧ and ⟦G0⟧ and tags like <x0>...</x0> or <x1/> exactly as they are. Keep the wording short, like UI labels.';
+/** Appended to the system prompt (built-in or custom) when the strings come with contexts */
+const LLM_CONTEXT_PROMPT = ' The user message may hold a second JSON array, in the same order, saying where each string appears in the UI. '
+  + 'Use it only to pick the right meaning of short or ambiguous strings; never translate or return it.';
+function languageName(code) {
+  if (!code || code === 'auto') return 'the detected language';
+  try { return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code; } catch { return code; }
+}
+
+/** OpenAI-compatible chat completions (Ollama, llama.cpp server, vLLM, ...) with JSON-array batching */
+class OpenAICompatProvider extends Provider {
+  async translateMany(texts, source, target, contexts) {
+    const { key, endpoint, model, prompt, batchSize } = this.plugin.settings.apiKeys.llm;
+    if (!endpoint) throw new Error('LLM endpoint missing');
+    const size = Math.max(1, Number(batchSize) || 20);
+    const out = [];
+    for (let i = 0; i < texts.length; i += size) out.push(...await this.complete(texts.slice(i, i + size), source, target, { key, endpoint, model, prompt }, contexts?.slice(i, i + size)));
+    return out;
+  }
+
+  async complete(texts, source, target, { key, endpoint, model, prompt }, contexts) {
+    const withContext = !!contexts?.some(Boolean);
+    let system = (prompt || DEFAULT_LLM_PROMPT).replace(/\{\{\s*source\s*\}\}/g, languageName(source)).replace(/\{\{\s*target\s*\}\}/g, languageName(target));
+    if (withContext) system += LLM_CONTEXT_PROMPT;
+    const user = JSON.stringify(texts) + (withContext ? '\n' + JSON.stringify(contexts.map(c => c || '')) : '');
+    const url = new URL('chat/completions', endpoint.replace(/\/?$/, '/'));
+    const res = await http(url.toString(), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(key ? { 'Authorization': `Bearer ${key}` } : {}) },
+      body: JSON.stringify({ model, temperature: 0, messages: [{ role: 'system', content: system }, { role: 'user', content: user }] }),
+    });
+    if (!res.ok) throw providerError('LLM', res);
+    const data = await res.json();
+    const content = data.choices?.[0]?.message?.content || '';
+    // models like to wrap the array in prose or ``` fences
+    const start = content.indexOf('['); const end = content.lastIndexOf(']');
+    let arr;
+    try { arr = JSON.parse(content.slice(start, end + 1)); } catch { throw new Error('LLM reply is not a JSON array'); }
+    if (!Array.isArray(arr) || arr.length !== texts.length) throw new Error(`LLM returned ${Array.isArray(arr) ? arr.length : 0} items for ${texts.length}`);
+    return arr.map(t => (typeof t === 'string' ? t : ''));
+  }
+}
+
+const PSEUDO_ACCENTS = {
+  a: 'á', b: 'ƀ', c: 'ç', d: 'ð', e: 'é', f: 'ƒ', g: 'ĝ', h: 'ĥ', i: 'í', j: 'ĵ', k: 'ķ', l: 'ļ', m: 'ɱ', n: 'ñ', o: 'ö', p: 'þ', q: 'ǫ', r: 'ŕ', s: 'š',
+  t: 'ţ', u: 'ú', v: 'ṽ', w: 'ŵ', x: 'ẋ', y: 'ý', z: 'ž', A: 'Å', B: 'Ɓ', C: 'Ç', D: 'Ð', E: 'É', F: 'Ƒ', G: 'Ĝ', H: 'Ĥ', I: 'Í', J: 'Ĵ', K: 'Ķ', L: 'Ļ',
+  M: 'Ṁ', N: 'Ñ', O: 'Ö', P: 'Þ', Q: 'Ǫ', R: 'Ŕ', S: 'Š', T: 'Ţ', U: 'Û', V: 'Ṽ', W: 'Ŵ', X: 'Ẋ', Y: 'Ý', Z: 'Ž',
+};
+
+/**
+ * Pseudo-localization for testing layouts offline: accented letters, padding for longer languages and brackets that
+ * show where a string starts and ends. Markers are left alone. Ephemeral: results are never cached or billed.
+ */
+class PseudoLocalizeProvider extends Provider {
+  async translateMany(texts) {
+    const { accents = true, brackets = true, expansion = 30 } = this.plugin.settings.apiKeys.pseudo || {};
+    const marker = new RegExp(`(${MARKER_RE})`, 'g');
+    return texts.map(text => {
+      let out = text.split(marker).map((part, i) => (i % 2 || !accents) ? part : part.replace(/[A-Za-z]/g, ch => PSEUDO_ACCENTS[ch])).join('');
+      const pad = Math.round(stripMarkup(text).replace(new RegExp(MARKER_RE, 'g'), '').length * Math.max(0, Number(expansion) || 0) / 100);
+      if (pad) out += ' ' + '·'.repeat(Math.max(1, pad - 1));
+      return brackets ? `[${out}]` : out;
+    });
+  }
+}
+PseudoLocalizeProvider.ephemeral = true;
+
+const PROVIDERS = { azure: AzureProvider, google: GoogleProvider, deepl: DeepLProvider, libre: LibreTranslateProvider, llm: OpenAICompatProvider, pseudo: PseudoLocalizeProvider };
+const PROVIDER_LABELS = { azure: 'Azure', google: 'Google', deepl: 'DeepL', libre: 'LibreTranslate', llm: 'OpenAI-compatible (local LLM)', pseudo: 'Pseudo-localization (testing)' };
+/** Providers whose output must never reach the cache or the usage counters */
+function isEphemeral(name) { return !!PROVIDERS[name]?.ephemeral; }
+
+/**
+ * Ordered provider chain (main provider, then fallbackProviders). Each provider is retried with
+ * exponential backoff on 429/5xx; one that keeps failing sits out a cooldown (circuit breaker).
+ */
+class ProviderChain {
+  constructor(plugin) { this.plugin = plugin; this.instances = {}; this.health = {}; }
+  names() { const s = this.plugin.settings; return [s.provider, ...(s.fallbackProviders || [])].filter((n, i, a) => PROVIDERS[n] && a.indexOf(n) === i); }
+  get(name) {
+    if (name === this.plugin.providerName && this.plugin.provider) return this.plugin.provider;
+    return this.instances[name] || (this.instances[name] = new PROVIDERS[name](this.plugin));
+  }
+  isCoolingDown(name) { const h = this.health[name]; return !!h && h.openUntil > Date.now(); }
+  /** ms until the first provider in the chain accepts requests again (0 = now) */
+  nextAvailableIn() { return Math.max(0, Math.min(...this.names().map(n => (this.health[n]?.openUntil || 0) - Date.now()))); }
+
+  /** only: use just this provider (explicit re-translation) instead of the configured chain */
+  async translateMany(texts, source, target, only = null, contexts = null) {
+    let lastErr;
+    for (const name of only ? [only] : this.names()) {
+      if (this.isCoolingDown(name) || this.plugin.isOverBudget(name)) continue;
+      try {
+        const out = await this.attempt(name, texts, source, target, contexts);
+        this.health[name] = { failures: 0, openUntil: 0 };
+        if (!isEphemeral(name)) this.plugin.recordUsage(name, texts.reduce((n, t) => n + t.length, 0));
+        return { out, provider: name };
+      } catch (e) { lastErr = e; this.recordFailure(name, e); }
+    }
+    throw lastErr || new Error('All providers are cooling down or over budget');
+  }
+
+  async attempt(name, texts, source, target, contexts) {
+    const { maxRetries = 3, baseDelayMs = 1000 } = this.plugin.settings.retry || {};
+    for (let n = 0; ; n++) {
+      try { return await this.get(name).translateMany(texts, source, target, contexts); }
+      catch (e) {
+        if (n >= maxRetries || !isRetryable(e)) throw e;
+        const wait = e.retryAfter != null ? e.retryAfter * 1000 : baseDelayMs * 2 ** n * (0.75 + Math.random() / 2);
+        console.warn(`[auto-translate-ui] ${name} failed (${e.message}), retry ${n + 1}/${maxRetries} in ${Math.round(wait)} ms`);
+        await sleep(Math.min(wait, 60000));
+      }
+    }
+  }
+
+  recordFailure(name, e) {
+    const { failureThreshold = 3, cooldownSec = 300 } = this.plugin.settings.retry || {};
+    const h = this.health[name] || (this.health[name] = { failures: 0, openUntil: 0 });
+    h.failures++; h.lastError = String(e?.message || e);
+    console.warn(`[auto-translate-ui] ${name} failed`, e);
+    if (h.failures >= failureThreshold) {
+      h.failures = 0; h.openUntil = Date.now() + cooldownSec * 1000;
+      console.warn(`[auto-translate-ui] ${name} paused for ${cooldownSec}s after repeated failures`);
+    }
+  }
+}
+
+/**
+ * Queue + rate limit. Identical strings (same text and context) share one task while pending, and a string already
+ * on its way to the provider is awaited instead of sent again. Strings in the viewport go first. Before each batch,
+ * tasks whose elements all left the page (a closed modal) are dropped.
+ */
 class TranslateQueue {
-  constructor(plugin) { this.plugin = plugin; this.queue = []; this.running = false; }
-  enqueue(task) { this.queue.push(task); this.run(); }
+  constructor(plugin) { this.plugin = plugin; this.pending = new Map(); this.inflight = new Map(); this.running = false; this.seq = 0; this.errors = []; }
+  /** Resolves with the translation, or with the text itself when the task was dropped or its batch failed */
+  enqueue({ text, context = '', el = null, visible = false }) {
+    const id = `${context}\u0000${text}`;
+    const busy = this.inflight.get(id); if (busy) return busy.promise;
+    let task = this.pending.get(id);
+    if (!task) {
+      task = { id, text, context, visible, els: [], free: false, seq: this.seq++ };
+      task.promise = new Promise(resolve => { task.resolve = resolve; });
+      this.pending.set(id, task);
+    }
+    task.visible = task.visible || visible;
+    // a string asked for without an element (retries, tests) is never dropped as detached
+    if (el) task.els.push(el); else task.free = true;
+    // start after the caller has queued all of its strings, so the first batch is merged and sorted too
+    this.changed(); queueMicrotask(() => this.run());
+    return task.promise;
+  }
+  get size() { return this.pending.size + this.inflight.size; }
+  changed() { this.plugin.onQueueChanged?.(); }
+  /**
+   * Settles tasks nobody will render because their elements are no longer in the document. A re-render does not
+   * drop anything: its results are cached and the callers scan their elements again.
+   */
+  dropStale() {
+    for (const t of this.pending.values()) {
+      if (t.free || t.els.some(el => el.isConnected)) continue;
+      this.pending.delete(t.id); t.resolve(t.text);
+    }
+  }
+  recordError(e) {
+    this.errors.push({ at: Date.now(), message: String(e?.message || e) });
+    if (this.errors.length > 5) this.errors.shift();
+    this.changed();
+  }
   async run() {
     if (this.running) return; this.running = true;
-    const { rps, batchSize } = this.plugin.settings.rateLimit;
-    const interval = Math.max(250, Math.floor(1000 / Math.max(1, rps)));
-    while (this.queue.length > 0) {
-      const tasks = this.queue.splice(0, batchSize);
-      const texts = tasks.map(t => t.text);
-      try {
-        const translated = await this.plugin.translateMany(texts);
-        translated.forEach((dst, i) => tasks[i].resolve(dst));
-      } catch (e) {
-        console.error('[auto-translate-ui] batch error', e);
-        tasks.forEach(t => t.reject(e));
+    const { batchSize } = this.plugin.settings.rateLimit;
+    const interval = rateInterval(this.plugin.settings.rateLimit);
+    try {
+      while (this.pending.size > 0) {
+        this.dropStale();
+        const tasks = Array.from(this.pending.values()).sort((a, b) => (b.visible - a.visible) || (a.seq - b.seq)).slice(0, Math.max(1, batchSize || 20));
+        if (!tasks.length) break;
+        tasks.forEach(t => { this.pending.delete(t.id); this.inflight.set(t.id, t); });
+        this.changed();
+        try {
+          const translated = await this.plugin.translateMany(tasks.map(t => t.text), tasks.map(t => t.context));
+          translated.forEach((dst, i) => tasks[i].resolve(dst));
+        } catch (e) {
+          // keep the page usable: show originals rather than failing the whole scan
+          console.error('[auto-translate-ui] batch error', e);
+          this.recordError(e);
+          tasks.forEach(t => t.resolve(t.text));
+        } finally { tasks.forEach(t => this.inflight.delete(t.id)); }
+        await sleep(interval);
       }
-      await sleep(interval);
+    } finally { this.running = false; this.changed(); }
+  }
+}
+
+/* ---------------- Review files (gettext PO, XLIFF 1.2 / 2.0) ----------------
+ * Entries are { source, translation, context, hint, provider, verified }; context is the settings tab that produced the string,
+ * hint the UI context of an entry cached for one context only. In PO both share msgctxt as "<tab> | <hint>".
+ */
+function poString(s) {
+  const esc = s.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\t/g, '\\t').replace(/\r/g, '\\r');
+  if (!esc.includes('\n')) return `"${esc}"`;
+  // multi-line strings in the usual gettext layout: empty first line, one line per \n
+  return '""\n' + esc.split(/(?<=\n)/).map(l => `"${l.replace(/\n/g, '\\n')}"`).join('\n');
+}
+
+function toPo(entries, lang) {
+  const head = [
+    'msgid ""', 'msgstr ""',
+    `"Language: ${lang}\\n"`, '"MIME-Version: 1.0\\n"', '"Content-Type: text/plain; charset=UTF-8\\n"',
+    '"Content-Transfer-Encoding: 8bit\\n"', '"X-Generator: auto-translate-ui\\n"',
+  ].join('\n');
+  const blocks = entries.map(e => [
+    e.provider ? `#. provider: ${e.provider}` : null,
+    e.verified ? null : '#, fuzzy',
+    e.context || e.hint ? `msgctxt ${poString(e.hint ? `${e.context || ''} | ${e.hint}` : e.context)}` : null,
+    `msgid ${poString(e.source)}`,
+    `msgstr ${poString(e.translation || '')}`,
+  ].filter(l => l != null).join('\n'));
+  return [head, ...blocks].join('\n\n') + '\n';
+}
+
+function parsePo(text) {
+  const unq = q => q.slice(1, -1).replace(/\\(.)/g, (_, c) => ({ n: '\n', t: '\t', r: '\r' }[c] ?? c));
+  const out = []; let cur = null; let field = null;
+  const flush = () => {
+    if (cur && cur.msgid) {
+      const ctxt = cur.msgctxt ?? ''; const cut = ctxt.indexOf(' | ');
+      out.push({ context: (cut < 0 ? ctxt : ctxt.slice(0, cut)) || null, hint: cut < 0 ? null : ctxt.slice(cut + 3), source: cur.msgid, translation: cur.msgstr || '', fuzzy: cur.fuzzy });
     }
-    this.running = false;
+    cur = null; field = null;
+  };
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) { flush(); continue; }
+    if (line.startsWith('#')) {
+      if (cur && field) flush(); // a comment after a complete entry starts the next one
+      cur = cur || {};
+      if (line.startsWith('#,') && /\bfuzzy\b/.test(line)) cur.fuzzy = true;
+      continue;
+    }
+    const m = line.match(/^(msgctxt|msgid|msgstr)\s+(".*")$/);
+    if (m) {
+      if (cur && field && (m[1] === 'msgctxt' || (m[1] === 'msgid' && field === 'msgstr'))) flush();
+      cur = cur || {}; field = m[1]; cur[field] = unq(m[2]);
+    } else if (line.startsWith('"') && cur && field) cur[field] += unq(line);
+  }
+  flush();
+  return out;
+}
+
+function xmlEscape(s) { return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'); }
+
+function toXliff(entries, lang, version = '1.2') {
+  if (version === '2.0') {
+    const units = entries.map((e, i) => {
+      const notes = [e.provider && `<note category="provider">${xmlEscape(e.provider)}</note>`, e.context && `<note category="context">${xmlEscape(e.context)}</note>`,
+        e.hint && `<note category="ui-context">${xmlEscape(e.hint)}</note>`].filter(Boolean);
+      return `    <unit id="u${i + 1}">\n` +
+        (notes.length ? `      <notes>${notes.join('')}</notes>\n` : '') +
+        `      <segment state="${e.verified ? 'final' : 'translated'}">\n        <source>${xmlEscape(e.source)}</source>\n        <target>${xmlEscape(e.translation || '')}</target>\n      </segment>\n    </unit>`;
+    });
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="en" trgLang="${xmlEscape(lang)}">\n  <file id="obsidian-ui">\n${units.join('\n')}\n  </file>\n</xliff>\n`;
   }
+  const units = entries.map((e, i) =>
+    `      <trans-unit id="u${i + 1}">\n        <source>${xmlEscape(e.source)}</source>\n        <target state="${e.verified ? 'final' : 'needs-review-translation'}">${xmlEscape(e.translation || '')}</target>\n` +
+    (e.provider ? `        <note from="provider">${xmlEscape(e.provider)}</note>\n` : '') +
+    (e.context || e.hint ? `        <context-group purpose="location">${e.context ? `<context context-type="x-settings-tab">${xmlEscape(e.context)}</context>` : ''}${e.hint ? `<context context-type="x-ui-context">${xmlEscape(e.hint)}</context>` : ''}</context-group>\n` : '') +
+    '      </trans-unit>');
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<xliff xmlns="urn:oasis:names:tc:xliff:document:1.2" version="1.2">\n  <file original="obsidian-ui" datatype="plaintext" source-language="en" target-language="${xmlEscape(lang)}">\n    <body>\n${units.join('\n')}\n    </body>\n  </file>\n</xliff>\n`;
 }
 
-/** Disk cache (JSON map) */
+/**
+ * Reads XLIFF 1.2 trans-units or 2.0 segments. Like fuzzy in PO, a unit counts as reviewed only once the
+ * reviewer moved it past the state we exported (1.2: not new/needs-*, 2.0: reviewed or final).
+ */
+function parseXliff(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) throw new Error('invalid XLIFF');
+  const child = (el, tag) => Array.from(el.children).find(c => c.localName === tag);
+  const out = [];
+  for (const u of Array.from(doc.getElementsByTagName('*')).filter(el => el.localName === 'trans-unit' || el.localName === 'segment')) {
+    const source = child(u, 'source'); const target = child(u, 'target'); if (!source) continue;
+    const state = (u.localName === 'segment' ? u.getAttribute('state') : target?.getAttribute('state')) || '';
+    const fuzzy = u.localName === 'segment' ? !/^(reviewed|final)$/.test(state) : /^(new|needs-)/.test(state);
+    // 2.0 keeps notes on the unit around the segment, 1.2 inside the trans-unit
+    const holder = u.localName === 'segment' ? u.parentElement : u;
+    const hintEl = Array.from(holder?.getElementsByTagName('*') || []).find(el => (el.localName === 'note' && el.getAttribute('category') === 'ui-context') || (el.localName === 'context' && el.getAttribute('context-type') === 'x-ui-context'));
+    out.push({ source: source.textContent, translation: target?.textContent || '', hint: hintEl?.textContent || null, fuzzy });
+  }
+  return out;
+}
+
+/**
+ * Disk cache: JSON map key -> { src, dst, provider, at, verified, context }; older caches hold plain dst strings.
+ * Next to it, index-<lang>.json records the plugin versions the cache was built against and the keys each
+ * settings tab produced, for incremental rebuilds. context is only set on entries kept for one context
+ * because it changed the translation of a short label.
+ */
 class DiskCache {
-  constructor(plugin) { this.plugin = plugin; this.map = {}; this.dirty = false; this.path = ''; }
+  constructor(plugin) { this.plugin = plugin; this.map = {}; this.dirty = false; this.path = ''; this.index = { plugins: {}, owners: {}, contexts: {}, labels: {} }; this.indexDirty = false; }
   async load() {
     const cfg = this.plugin.app.vault.configDir; // .obsidian
     const base = `${cfg}/plugins/${this.plugin.manifest.id}/cache`;
     this.path = `${base}/translations-${this.plugin.settings.targetLang}.json`;
+    this.indexPath = `${base}/index-${this.plugin.settings.targetLang}.json`;
+    this.crawlPath = `${base}/crawl-${this.plugin.settings.targetLang}.json`;
+    this.map = {}; this.index = { plugins: {}, owners: {}, contexts: {}, labels: {} };
     try { await this.plugin.app.vault.adapter.mkdir(base); } catch {}
     if (await this.plugin.app.vault.adapter.exists(this.path)) {
       try { const raw = await this.plugin.app.vault.adapter.read(this.path); this.map = JSON.parse(raw || '{}'); } catch (e) { console.warn('cache read fail', e); this.map = {}; }
     }
+    if (await this.plugin.app.vault.adapter.exists(this.indexPath)) {
+      try { const raw = await this.plugin.app.vault.adapter.read(this.indexPath); this.index = Object.assign({ plugins: {}, owners: {}, contexts: {}, labels: {} }, JSON.parse(raw || '{}')); } catch (e) { console.warn('cache index read fail', e); }
+    }
+  }
+  get(k) { const e = this.map[k]; return typeof e === 'string' ? e : e?.dst; }
+  /** Entry with metadata; legacy string entries come back as { dst } */
+  entry(k) { const e = this.map[k]; return e == null ? undefined : typeof e === 'string' ? { dst: e } : e; }
+  /** Human-verified entries (imported from a reviewed PO/XLIFF file) are never overwritten by unverified writes */
+  set(k, v, meta = {}) {
+    if (this.isVerified(k) && !meta.verified) return false;
+    this.map[k] = { ...meta, dst: v, at: meta.at || Date.now() }; this.dirty = true; this.scheduleSave();
+    return true;
+  }
+  isVerified(k) { return !!this.map[k]?.verified; }
+  setVerified(k, on) {
+    const e = this.entry(k); if (!e) return;
+    this.map[k] = { ...e, verified: on || undefined }; this.dirty = true; this.scheduleSave();
   }
-  get(k) { return this.map[k]; }
-  set(k, v) { this.map[k] = v; this.dirty = true; this.scheduleSave(); }
+  remove(k) { if (!(k in this.map)) return; delete this.map[k]; this.dirty = true; this.scheduleSave(); }
+  /** Adds keys to a tab's owner list without replacing it (pack imports) */
+  addOwnerKeys(tabId, keys) {
+    this.index.owners[tabId] = Array.from(new Set([...(this.index.owners[tabId] || []), ...keys]));
+    this.indexDirty = true; this.scheduleSave();
+  }
+  /** Records the keys a settings tab produced; version is the plugin's manifest version (null for core tabs) */
+  setOwner(tabId, version, keys) {
+    this.index.owners[tabId] = Array.from(new Set(keys));
+    if (version != null) this.index.plugins[tabId] = version;
+    this.indexDirty = true; this.scheduleSave();
+  }
+  /** Context keys that were translated and came out the same as the context-free entry, so they share it */
+  isContextChecked(ctxKey) { return !!this.index.contexts[ctxKey]; }
+  markContextChecked(ctxKey) { this.index.contexts[ctxKey] = 1; this.indexDirty = true; this.scheduleSave(); }
+  /** Per shared key of a short label: 'same' once a context left its translation unchanged, 'varies' once one changed it */
+  labelState(key) { return this.index.labels[key]; }
+  setLabelState(key, state) { if (this.index.labels[key] === state) return; this.index.labels[key] = state; this.indexDirty = true; this.scheduleSave(); }
+  /** Forgets a removed plugin and deletes the entries no other tab uses; returns the deleted keys */
+  pruneOwner(tabId) {
+    const keys = this.index.owners[tabId] || [];
+    delete this.index.owners[tabId]; delete this.index.plugins[tabId]; this.indexDirty = true;
+    const shared = new Set(Object.values(this.index.owners).flat());
+    const gone = keys.filter(k => !shared.has(k) && k in this.map);
+    gone.forEach(k => delete this.map[k]);
+    if (gone.length) this.dirty = true;
+    this.scheduleSave();
+    return gone;
+  }
+  /** Progress of an interrupted full crawl: { provider, done: { tabId: stringCount } } or null */
+  async readCrawl() {
+    try { return JSON.parse(await this.plugin.app.vault.adapter.read(this.crawlPath)); } catch { return null; }
+  }
+  async writeCrawl(state) { try { await this.plugin.app.vault.adapter.write(this.crawlPath, JSON.stringify(state)); } catch (e) { console.error('crawl checkpoint write fail', e); } }
+  async clearCrawl() { try { if (await this.plugin.app.vault.adapter.exists(this.crawlPath)) await this.plugin.app.vault.adapter.remove(this.crawlPath); } catch {} }
   scheduleSave() { clearTimeout(this._t); this._t = setTimeout(() => this.flush(), 1000); }
-  async flush() { if (!this.dirty) return; this.dirty = false; try { await this.plugin.app.vault.adapter.write(this.path, JSON.stringify(this.map)); } catch (e) { console.error('cache write fail', e); } }
+  async flush() {
+    if (this.indexDirty) { this.indexDirty = false; try { await this.plugin.app.vault.adapter.write(this.indexPath, JSON.stringify(this.index)); } catch (e) { console.error('cache index write fail', e); } }
+    if (!this.dirty) return; this.dirty = false; try { await this.plugin.app.vault.adapter.write(this.path, JSON.stringify(this.map)); } catch (e) { console.error('cache write fail', e); }
+  }
+}
+
+/* ---------------- Settings schema ----------------
+ * data.json is migrated step by step from its settingsVersion (none = 0), deep-merged with DEFAULT_SETTINGS so new
+ * nested defaults reach existing users, then validated. Arrays and maps with user keys are taken as stored.
+ */
+const SETTINGS_MIGRATIONS = [
+  { version: 1, note: "render mode 'inline' renamed to 'bilingual'", migrate(s) {
+    if (s.mode === 'inline') s.mode = 'bilingual';
+    for (const o of Object.values(s.pluginOptions || {})) if (o && o.mode === 'inline') o.mode = 'bilingual';
+  } },
+  { version: 2, note: 'language, provider and mode moved into profiles', migrate(s) {
+    if (!Array.isArray(s.profiles) || !s.profiles.length) {
+      s.profiles = [{ name: 'Default', targetLang: s.targetLang || DEFAULT_SETTINGS.targetLang, provider: s.provider || DEFAULT_SETTINGS.provider, mode: s.mode || DEFAULT_SETTINGS.mode }];
+      s.activeProfile = 'Default';
+    }
+  } },
+];
+
+function isPlainObject(v) { return v != null && typeof v === 'object' && !Array.isArray(v); }
+
+/** Defaults with stored values laid over them; a stored value of the wrong type falls back to the default */
+function deepMerge(defaults, data) {
+  if (!isPlainObject(defaults)) {
+    if (data === undefined) return defaults;
+    if (Array.isArray(defaults)) return Array.isArray(data) ? data : defaults;
+    if (typeof defaults === 'number' && typeof data === 'string' && data.trim() && Number.isFinite(Number(data))) return Number(data);
+    return typeof data === typeof defaults || defaults == null ? data : defaults;
+  }
+  const out = {}; const src = isPlainObject(data) ? data : {};
+  for (const k of new Set([...Object.keys(defaults), ...Object.keys(src)])) out[k] = k in defaults ? deepMerge(defaults[k], src[k]) : src[k];
+  return out;
+}
+
+function isValidSelector(sel) {
+  try { document.createDocumentFragment().querySelector(sel); return true; } catch { return false; }
+}
+
+/** Comma-separated selectors from a settings field; null while any of them is invalid (e.g. half-typed) */
+function parseSelectorList(v) {
+  const list = v.split(',').map(s => s.trim()).filter(Boolean);
+  return list.every(isValidSelector) ? list : null;
+}
+
+/** Marks a selector field red and returns the list, or null so the caller keeps the saved value */
+function checkSelectorInput(inputEl, v) {
+  const list = parseSelectorList(v);
+  inputEl.toggleClass('mod-error', !list);
+  return list;
+}
+
+/** Repairs values the rest of the plugin relies on; returns what was changed, for the console */
+function validateSettings(s) {
+  const fixes = [];
+  // numbers: a non-number goes back to its default, anything else is clamped into range
+  const num = (obj, defs, key, min, max, int = false) => {
+    const v = Number(obj[key]);
+    const fixed = Number.isFinite(v) ? Math.min(max, Math.max(min, int ? Math.round(v) : v)) : defs[key];
+    if (fixed !== obj[key]) { fixes.push(`${key}: ${JSON.stringify(obj[key])} -> ${fixed}`); obj[key] = fixed; }
+  };
+  const D = DEFAULT_SETTINGS;
+  const selectors = (list, name) => {
+    const ok = (Array.isArray(list) ? list : []).filter(sel => typeof sel === 'string' && sel.trim() && isValidSelector(sel));
+    if (!Array.isArray(list) || ok.length !== list.length) fixes.push(`${name}: dropped ${(Array.isArray(list) ? list.length : 0) - ok.length} invalid selector(s)`);
+    return ok;
+  };
+  if (!PROVIDERS[s.provider]) { fixes.push(`provider: unknown "${s.provider}"`); s.provider = DEFAULT_SETTINGS.provider; }
+  s.fallbackProviders = s.fallbackProviders.filter((n, i, a) => PROVIDERS[n] && n !== s.provider && a.indexOf(n) === i);
+  s.mode = normalizeMode(s.mode);
+  num(s.rateLimit, D.rateLimit, 'rps', 0.1, 50); num(s.rateLimit, D.rateLimit, 'batchSize', 1, 200, true);
+  num(s, D, 'cacheLimit', 100, 1000000, true);
+  num(s.retry, D.retry, 'maxRetries', 0, 10, true); num(s.retry, D.retry, 'baseDelayMs', 0, 60000, true);
+  num(s.retry, D.retry, 'failureThreshold', 1, 100, true); num(s.retry, D.retry, 'cooldownSec', 0, 86400); num(s.retry, D.retry, 'laterSec', 1, 86400);
+  num(s.skip, D.skip, 'minLength', 0, 100, true);
+  num(s.apiKeys.llm, D.apiKeys.llm, 'batchSize', 1, 200, true); num(s.apiKeys.pseudo, D.apiKeys.pseudo, 'expansion', 0, 300);
+  s.includeSelectors = selectors(s.includeSelectors, 'includeSelectors');
+  s.excludeSelectors = selectors(s.excludeSelectors, 'excludeSelectors');
+  s.surfaces = selectors(s.surfaces, 'surfaces');
+  for (const [id, list] of Object.entries(s.pluginSelectors)) { s.pluginSelectors[id] = selectors(list, `pluginSelectors.${id}`); if (!s.pluginSelectors[id].length) delete s.pluginSelectors[id]; }
+  for (const o of Object.values(s.pluginOptions)) if (isPlainObject(o) && o.mode && o.mode !== 'inherit') o.mode = normalizeMode(o.mode);
+  s.glossary = s.glossary.filter(g => isPlainObject(g) && typeof g.term === 'string');
+  s.profiles = s.profiles.filter((p, i, a) => isPlainObject(p) && typeof p.name === 'string' && p.name.trim() && a.findIndex(o => o?.name === p.name) === i)
+    .map(p => ({ name: p.name, targetLang: typeof p.targetLang === 'string' && p.targetLang ? p.targetLang : s.targetLang, provider: PROVIDERS[p.provider] ? p.provider : s.provider, mode: normalizeMode(p.mode) }));
+  if (!s.profiles.length) s.profiles = [{ name: 'Default', targetLang: s.targetLang, provider: s.provider, mode: s.mode }];
+  if (!s.profiles.some(p => p.name === s.activeProfile)) s.activeProfile = s.profiles[0].name;
+  return fixes;
 }
 
 /** Main plugin */
@@ -165,22 +929,43 @@ module.exports = class AutoTranslateUIPlugin extends Plugin {
   bumpGeneration(){ this.generation = (this.generation|0) + 1; }
   async onload() {
     console.log('Loading Auto Translate UI plugin');
-    this.settings = Object.assign({}, DEFAULT_SETTINGS, await this.loadData());
+    await this.loadSettings();
+    this.glossary = new Glossary(this);
 
     this.lru = new LRU(this.settings.cacheLimit || 5000);
     this.diskCache = new DiskCache(this); await this.diskCache.load();
     this.queue = new TranslateQueue(this);
+    this.chain = new ProviderChain(this);
+    this.retryTexts = new Map(); // text -> context
+    this.saveUsage = this.debounce(() => this.saveSettings(), 2000);
+    this.liftBudgetPause();
     this.originalText = new WeakMap(); // element -> {text, attr:{title,ariaLabel}}
     this.modalStates = new WeakMap(); // modalContainer -> on/off
+    this.setupTooltip();
+    this.picker = new ElementPicker(this);
+    this.register(() => this.picker.stop());
 
     this.registerInterval(window.setInterval(() => this.diskCache.flush(), 5000));
 
     this.setProvider(this.settings.provider);
     this.addSettingTab(new AutoTranslateSettingsTab(this.app, this));
+    this.registerView(VIEW_TYPE_TM, leaf => new TranslationMemoryView(leaf, this));
+    this.setupProfileStatus();
+    this.setupQueueStatus();
 
     // Commands
     this.addCommand({ id: 'toggle-translation', name: 'Toggle translation (global)', callback: async () => { this.settings.enabled = !this.settings.enabled; this.bumpGeneration(); await this.saveSettings(); if (!this.settings.enabled) this.restoreScope(document.body); this.refreshAll(); new Notice(`Auto-Translate: ${this.settings.enabled ? 'ON' : 'OFF'}`); } });
     this.addCommand({ id: 'build-cache-now', name: 'Build/Update translation cache', callback: () => this.prebuildCacheAllSettings() });
+    this.addCommand({ id: 'build-cache-restart', name: 'Build translation cache from the first tab (discard checkpoint)', callback: () => this.prebuildCacheAllSettings(true) });
+    this.addCommand({ id: 'inspect-element', name: 'Inspect: pick an element to add a selector', callback: () => this.picker.start() });
+    this.addCommand({ id: 'show-coverage', name: 'Inspect: show text the current settings tab does not translate', callback: () => this.openCoverage() });
+    this.addCommand({ id: 'switch-language-profile', name: 'Switch language profile', callback: () => new ProfileSuggestModal(this.app, this).open() });
+    this.addCommand({ id: 'next-language-profile', name: 'Next language profile', callback: () => {
+      const list = this.settings.profiles; const i = list.findIndex(p => p.name === this.settings.activeProfile);
+      this.switchProfile(list[(i + 1) % list.length].name);
+    } });
+    this.addCommand({ id: 'open-translation-memory', name: 'Open translation memory', callback: () => this.openMemoryView() });
+    this.addCommand({ id: 'update-cache-changed-plugins', name: 'Update translation cache for changed plugins', callback: () => this.updateCacheForPluginChanges(true) });
 
     // Observe DOM for settings panels & modals
     this.setupObservers();
@@ -190,55 +975,349 @@ module.exports = class AutoTranslateUIPlugin extends Plugin {
 
     // Initial scan
     this.refreshAll();
+
+    // Plugins installed/updated/removed since the cache was built
+    // plugins and commands registered during startup join the known ids the skip rules use
+    this.app.workspace.onLayoutReady(() => { this.skipMemo = null; this.updateCacheForPluginChanges(false); this.patchCommandPalette(); });
   }
 
   onunload() {
     console.log('Unloading Auto Translate UI plugin');
+    clearTimeout(this.retryTimer);
   }
 
-  async saveSettings() { await this.saveData(this.settings); }
+  async saveSettings() { this.syncActiveProfile(); await this.saveData(this.settings); }
+
+  /** Reads data.json through migrations, the deep merge and validation; older or unreadable files are backed up first */
+  async loadSettings() {
+    const dir = this.manifest.dir || `${this.app.vault.configDir}/plugins/${this.manifest.id}`;
+    const backup = async (name, raw) => {
+      try { await this.app.vault.adapter.write(`${dir}/${name}`, raw); } catch (e) { console.error('[auto-translate-ui] settings backup failed', e); }
+    };
+    let data = null; let reset = false;
+    try { data = await this.loadData(); }
+    catch (e) {
+      reset = true;
+      console.error('[auto-translate-ui] data.json unreadable, starting from defaults', e);
+      try { await backup(`data.corrupt-${dayKey()}.json`, await this.app.vault.adapter.read(`${dir}/data.json`)); } catch {}
+      new Notice('Auto Translate UI: settings file was unreadable and has been reset (a copy was kept next to it)');
+    }
+    if (!isPlainObject(data)) data = data == null ? null : {};
+    const from = data ? Number(data.settingsVersion) || 0 : DEFAULT_SETTINGS.settingsVersion;
+    let migrated = false;
+    if (data && from < DEFAULT_SETTINGS.settingsVersion) {
+      await backup(`data.v${from}.backup.json`, JSON.stringify(data, null, 2));
+      data = JSON.parse(JSON.stringify(data));
+      for (const step of SETTINGS_MIGRATIONS) {
+        if (step.version <= from) continue;
+        try { step.migrate(data); console.log(`[auto-translate-ui] settings v${step.version}: ${step.note}`); }
+        catch (e) { console.error(`[auto-translate-ui] settings migration v${step.version} failed`, e); }
+      }
+      migrated = true;
+    }
+    this.settings = deepMerge(JSON.parse(JSON.stringify(DEFAULT_SETTINGS)), data || {});
+    this.settings.settingsVersion = DEFAULT_SETTINGS.settingsVersion;
+    const fixes = validateSettings(this.settings);
+    if (fixes.length) console.warn('[auto-translate-ui] settings repaired:', fixes);
+    if (reset || migrated || fixes.length) await this.saveData(this.settings);
+  }
 
-  setProvider(name) { this.providerName = name; if (name === 'azure') this.provider = new AzureProvider(this); else if (name === 'google') this.provider = new GoogleProvider(this); else if (name === 'deepl') this.provider = new DeepLProvider(this); }
+  activeProfile() { return (this.settings.profiles || []).find(p => p.name === this.settings.activeProfile); }
 
-  async translateMany(texts) {
+  /** The top-level targetLang / provider / mode are the active profile's; keep the stored profile in step */
+  syncActiveProfile() {
+    const p = this.activeProfile(); const s = this.settings;
+    if (p) Object.assign(p, { targetLang: s.targetLang, provider: s.provider, mode: s.mode });
+  }
+
+  /** Switches profile without a reload: originals come back, then the page is rendered from that language's cache */
+  async switchProfile(name) {
+    const p = (this.settings.profiles || []).find(x => x.name === name);
+    if (!p || name === this.settings.activeProfile) return;
+    this.settings.activeProfile = name;
+    this.settings.provider = p.provider; this.setProvider(p.provider);
+    this.settings.mode = normalizeMode(p.mode);
+    await this.setTargetLang(p.targetLang);
+    this.updateProfileStatus();
+    new Notice(`Language profile: ${name}`);
+  }
+
+  /** Loads the cache file of another target language and renders again */
+  async setTargetLang(code) {
+    this.settings.targetLang = code || 'ko'; this.skipMemo = null;
+    await this.saveSettings();
+    await this.diskCache.flush(); await this.diskCache.load();
+    this.rerender();
+  }
+
+  setupProfileStatus() {
+    this.profileStatus = this.addStatusBarItem();
+    this.profileStatus.addClass('mod-clickable'); this.profileStatus.addClass('autotrans-profile-status');
+    this.profileStatus.setAttr('data-autotrans-ignore', 'true');
+    this.profileStatus.setAttr('aria-label', 'Switch language profile');
+    this.registerDomEvent(this.profileStatus, 'click', evt => {
+      const menu = new Menu();
+      for (const p of this.settings.profiles) {
+        menu.addItem(item => item.setTitle(`${p.name} (${p.targetLang})`).setChecked(p.name === this.settings.activeProfile).onClick(() => this.switchProfile(p.name)));
+      }
+      menu.showAtMouseEvent(evt);
+    });
+    this.updateProfileStatus();
+  }
+
+  updateProfileStatus() {
+    if (!this.profileStatus) return;
+    const p = this.activeProfile();
+    this.profileStatus.setText(p ? `${p.name} · ${this.settings.targetLang}` : this.settings.targetLang);
+  }
+
+  /** Status bar item with the number of strings waiting for a provider and the latest errors; hidden when idle */
+  setupQueueStatus() {
+    this.queueStatus = this.addStatusBarItem();
+    this.queueStatus.addClass('mod-clickable'); this.queueStatus.addClass('autotrans-queue-status');
+    this.queueStatus.setAttr('data-autotrans-ignore', 'true');
+    this.onQueueChanged = this.debounce(() => this.updateQueueStatus(), 100);
+    this.registerDomEvent(this.queueStatus, 'click', evt => {
+      const menu = new Menu();
+      menu.addItem(item => item.setTitle(`${this.queue.size} string(s) pending`).setIcon('hourglass'));
+      for (const e of this.queue.errors.slice().reverse()) menu.addItem(item => item.setTitle(`${new Date(e.at).toLocaleTimeString()} ${e.message}`).setIcon('alert-triangle'));
+      if (this.queue.errors.length) menu.addItem(item => item.setTitle('Clear errors').onClick(() => { this.queue.errors = []; this.updateQueueStatus(); }));
+      menu.showAtMouseEvent(evt);
+    });
+    this.updateQueueStatus();
+  }
+
+  updateQueueStatus() {
+    const el = this.queueStatus; if (!el) return;
+    const n = this.queue.size; const errors = this.queue.errors;
+    el.toggle(n > 0 || errors.length > 0);
+    el.toggleClass('mod-error', errors.length > 0);
+    el.setText([n ? `Translating ${n}` : '', errors.length ? `⚠ ${errors.length}` : ''].filter(Boolean).join(' · '));
+    el.setAttr('aria-label', [`${n} string(s) waiting for the provider`, ...errors.map(e => `${new Date(e.at).toLocaleTimeString()} ${e.message}`)].join('\n'));
+  }
+
+  /** Target languages of a provider, fetched once per session; the common list when the provider cannot tell */
+  async providerLanguages(name) {
+    this.languageLists = this.languageLists || new Map();
+    if (!this.languageLists.has(name)) {
+      const P = PROVIDERS[name];
+      const load = (P ? new P(this) : new Provider(this)).languages()
+        .catch(e => { console.warn(`[auto-translate-ui] ${name} language list unavailable`, e); this.languageLists.delete(name); return new Provider(this).languages(); });
+      this.languageLists.set(name, load);
+    }
+    return this.languageLists.get(name);
+  }
+
+  cacheKey(text, src, tgt, context = '') {
+    // hashlines with provider + langs to avoid collisions; glossary signature only for texts that contain a term.
+    // Keys are those of the template, so "3 files" and "4 files" share one entry
+    text = toTemplate(text).text;
+    const sig = this.glossary.signature(text);
+    // context keys exist only for short labels (see lookup), so every other entry stays shared between contexts
+    return sha1([this.providerName, src, tgt, text].concat(sig ? [sig] : [], context ? ['ctx:' + context] : []).join('|'));
+  }
+
+  /**
+   * Cached translation as { key, dst }: the entry of this context if it has one, else the shared entry. A label is
+   * checked against the shared entry once; only if that showed its translation varies with context are further
+   * unchecked contexts a miss. Cache-only mode never counts them as misses.
+   */
+  lookup(key, ctxKey = null) {
+    const get = k => this.lru.get(k) || this.diskCache.get(k);
+    if (ctxKey) {
+      const own = get(ctxKey); if (own) return { key: ctxKey, dst: own };
+      if (this.diskCache.labelState(key) !== 'same' && !this.diskCache.isContextChecked(ctxKey) && !this.settings.offlineOnly) return null;
+    }
+    const dst = get(key);
+    return dst ? { key, dst } : null;
+  }
+
+  /**
+   * Caches a fresh translation. It fills an empty shared entry; otherwise it settles the label's check: the same
+   * result marks the context (and, on the first check, the label) as sharing the entry, a different one is kept
+   * for this context and marks the label as varying.
+   */
+  storeTranslation(key, ctxKey, src, dst, provider, context) {
+    const shared = this.diskCache.get(key);
+    if (shared == null) { this.lru.set(key, dst); this.diskCache.set(key, dst, { src, provider }); if (ctxKey) this.diskCache.markContextChecked(ctxKey); return; }
+    if (!ctxKey) return;
+    if (shared === dst) { this.diskCache.markContextChecked(ctxKey); if (!this.diskCache.labelState(key)) this.diskCache.setLabelState(key, 'same'); return; }
+    this.diskCache.setLabelState(key, 'varies');
+    this.lru.set(ctxKey, dst); this.diskCache.set(ctxKey, dst, { src, provider, context });
+  }
+
+  /** Fills the values of text into a cached template translation; null when the template lost a slot */
+  fillTemplate(text, dst) {
+    const { slots } = toTemplate(text);
+    return slots.length ? fillMarkers(dst, 'V', slots) : dst;
+  }
+
+  /**
+   * Provider call with glossary terms and protected spans masked around it. Returns { out, provider };
+   * entries whose markers did not survive, and entries with nothing left to send, come back undefined in out
+   * and must not be cached.
+   */
+  async callProvider(texts, src, tgt, only = null, contexts = null) {
+    const masked = texts.map(t => { const g = this.glossary.protect(t); const p = maskSpans(g.text); return { text: p.text, terms: g.slots, spans: p.slots }; });
+    const send = []; masked.forEach((m, i) => { if (hasTranslatableText(m.text)) send.push(i); });
+    const res = masked.map(m => m.text); const sent = new Set(send);
+    let provider = null;
+    if (send.length) {
+      const translated = await this.chain.translateMany(send.map(i => masked[i].text), src, tgt, only, contexts ? send.map(i => contexts[i] || '') : null);
+      provider = translated.provider;
+      send.forEach((i, j) => { res[i] = translated.out[j]; });
+    }
+    const out = res.map((dst, i) => {
+      if (dst == null || !sent.has(i)) return undefined;
+      const m = masked[i]; const spans = fillMarkers(dst, 'P', m.spans); const out = spans == null ? null : this.glossary.restore(spans, m.terms);
+      if (out == null) { console.warn('[auto-translate-ui] protected span lost in translation, keeping original', { src: texts[i], dst }); return undefined; }
+      return out;
+    });
+    return { out, provider };
+  }
+
+  /** Strings every provider failed on are sent again once the chain is likely to answer, then the page is re-rendered */
+  scheduleRetry(texts, contexts = []) {
+    texts.forEach((t, i) => this.retryTexts.set(t, contexts[i] || ''));
+    if (this.retryTimer) return;
+    const later = (this.settings.retry?.laterSec || 60) * 1000;
+    this.retryTimer = window.setTimeout(async () => {
+      this.retryTimer = null;
+      const pending = Array.from(this.retryTexts.keys()); const contexts = pending.map(t => this.retryTexts.get(t)); this.retryTexts.clear();
+      if (!pending.length || this.settings.offlineOnly) return;
+      const out = await this.translateMany(pending, contexts);
+      if (out.some((dst, i) => dst !== pending[i])) this.rerender();
+    }, Math.max(later, this.chain.nextAvailableIn()));
+  }
+
+  async onGlossaryChanged() {
+    this.glossary.compile(); await this.saveSettings();
+    this.rerender();
+  }
+
+  setProvider(name) { this.providerName = name; const P = PROVIDERS[name]; if (P) this.provider = new P(this); }
+
+  /** Adds billable characters sent to a provider; crossing its monthly budget may switch to cache-only */
+  recordUsage(provider, chars) {
+    if (!chars) return;
+    const usage = this.settings.usage || (this.settings.usage = {});
+    const u = usage[provider] || (usage[provider] = { days: {}, months: {} });
+    const day = dayKey(); const month = day.slice(0, 7);
+    const wasOver = this.isOverBudget(provider);
+    u.days[day] = (u.days[day] || 0) + chars; u.months[month] = (u.months[month] || 0) + chars;
+    // about two months of daily numbers is enough for the report
+    const cutoff = dayKey(new Date(Date.now() - 62 * 864e5));
+    Object.keys(u.days).forEach(d => { if (d < cutoff) delete u.days[d]; });
+    if (!wasOver && this.isOverBudget(provider)) this.onBudgetReached(provider);
+    this.saveUsage();
+  }
+
+  usageOf(provider, period = 'month') {
+    const u = this.settings.usage?.[provider]; if (!u) return 0;
+    const day = dayKey(); return (period === 'day' ? u.days?.[day] : u.months?.[day.slice(0, 7)]) || 0;
+  }
+
+  isOverBudget(provider) { const cap = Number(this.settings.budgets?.[provider]) || 0; return cap > 0 && this.usageOf(provider) >= cap; }
+
+  onBudgetReached(provider) {
+    new Notice(`Auto-Translate: monthly budget for ${PROVIDER_LABELS[provider] || provider} reached`);
+    // fallbacks with budget left keep going; cache-only once the whole chain is spent
+    if (this.settings.offlineOnly || !this.chain.names().every(n => this.isOverBudget(n))) return;
+    this.settings.offlineOnly = true; this.settings.budgetOfflineMonth = dayKey().slice(0, 7);
+    this.saveSettings();
+    new Notice('Auto-Translate: monthly budget reached. Cache-only mode ON until next month');
+  }
+
+  /** Turns cache-only off again when the budget switched it on in an earlier month; checked on load and per batch */
+  liftBudgetPause() {
+    const m = this.settings.budgetOfflineMonth;
+    if (!m || m === dayKey().slice(0, 7)) return;
+    this.settings.budgetOfflineMonth = ''; this.settings.offlineOnly = false; this.saveSettings();
+    new Notice('Auto-Translate: new month, translation budget reset. Cache-only mode OFF');
+  }
+
+  /** Installed plugin ids and registered command ids, for the code-like skip rule */
+  knownIds() {
+    return new Set([...Object.keys(this.getPluginManifests()), ...Object.keys(this.app.commands?.commands || {})]);
+  }
+
+  /** Pre-filter verdict, remembered per string until the skip rules or target language change */
+  shouldSkip(text) {
+    if (!this.skipMemo) { this.skipMemo = new Map(); this.skipIds = this.knownIds(); }
+    let v = this.skipMemo.get(text);
+    if (v === undefined) {
+      v = skipReason(text, this.settings.skip || {}, this.settings.targetLang || 'ko', this.skipIds);
+      if (this.skipMemo.size > 20000) this.skipMemo.clear();
+      this.skipMemo.set(text, v);
+    }
+    return !!v;
+  }
+
+  /**
+   * contexts (same order as texts, optional) say where each string appears. Only short labels keep theirs: they are
+   * the strings a context can change, and the only ones cached per context (when it changes their translation).
+   */
+  async translateMany(texts, contexts = []) {
+    this.liftBudgetPause(); // Obsidian may stay open across the turn of the month
     const src = this.settings.sourceLang || 'auto';
     const tgt = this.settings.targetLang || 'ko';
 
-    // hashlines with provider + langs to avoid collisions
-    const keys = texts.map(t => sha1([this.providerName, src, tgt, t].join('|')));
+    contexts = texts.map((t, i) => (contexts[i] && isShortLabel(t) ? contexts[i] : ''));
+    const keys = texts.map(t => this.cacheKey(t, src, tgt));
+    const ctxKeys = texts.map((t, i) => (contexts[i] ? this.cacheKey(t, src, tgt, contexts[i]) : null));
     const out = new Array(texts.length);
     const missIdx = [];
 
     for (let i = 0; i < texts.length; i++) {
-      const k = keys[i];
-      const cached = this.lru.get(k) || this.diskCache.get(k);
-      if (cached) {
-        out[i] = cached; this.lru.set(k, cached);
+      if (this.shouldSkip(texts[i])) { out[i] = texts[i]; continue; }
+      const hit = this.lookup(keys[i], ctxKeys[i]);
+      if (hit) {
+        out[i] = this.fillTemplate(texts[i], hit.dst) ?? texts[i]; this.lru.set(hit.key, hit.dst);
       } else missIdx.push(i);
     }
 
     if (missIdx.length === 0) return out;
 
+    // a label whose context was not checked yet keeps its shared translation when the provider cannot answer
+    const fallback = i => { const hit = this.lookup(keys[i]); return (hit && this.fillTemplate(texts[i], hit.dst)) || texts[i]; };
     const missTexts = missIdx.map(i => texts[i]);
-    if (this.settings.offlineOnly) {
+    // pseudo-localization is local, so cache-only mode does not stop it
+    if (this.settings.offlineOnly && !isEphemeral(this.settings.provider)) {
       missIdx.forEach((idx, j) => out[idx] = missTexts[j]);
       return out;
     }
+    // one provider call per template, however many values and contexts it shows up with: a label is sent with one
+    // of its contexts per batch, and the others wait for a later pass if that context turns out to change it
+    const byKey = new Map(); missIdx.forEach(i => { const list = byKey.get(keys[i]); if (list) list.push(i); else byKey.set(keys[i], [i]); });
+    const groups = Array.from(byKey.values()); const templates = groups.map(g => toTemplate(texts[g[0]]).text);
+    const sent = groups.map(g => g.find(i => ctxKeys[i]) ?? g[0]);
+    const groupContexts = sent.map(i => contexts[i]);
     let translated = [];
+    let provider = null;
     try {
-      translated = await this.provider.translateMany(missTexts, src, tgt);
+      ({ out: translated, provider } = await this.callProvider(templates, src, tgt, null, groupContexts));
     } catch (e) {
       console.warn('translateMany failed, leaving originals', e);
-      // Fallback: return originals for misses
-      missIdx.forEach((idx, j) => out[idx] = missTexts[j]);
+      this.queue.recordError(e);
+      // Fallback: return originals for misses, and try them again later
+      missIdx.forEach(idx => out[idx] = fallback(idx));
+      this.scheduleRetry(missTexts, missIdx.map(i => contexts[i]));
       return out;
     }
 
-    missIdx.forEach((idx, j) => { const dst = translated[j] ?? missTexts[j]; out[idx] = dst; const k = keys[idx]; this.lru.set(k, dst); this.diskCache.set(k, dst); });
+    groups.forEach((group, j) => {
+      const dst = translated[j];
+      const ok = dst != null && slotCount(dst) === slotCount(templates[j]);
+      const r = sent[j];
+      if (ok && !isEphemeral(provider)) this.storeTranslation(keys[r], ctxKeys[r], templates[j], dst, provider, contexts[r]);
+      // strings in another context than the one sent get the shared entry (which dst filled if it was empty)
+      group.forEach(idx => { out[idx] = (ok && (isEphemeral(provider) || ctxKeys[idx] === ctxKeys[r]) && this.fillTemplate(texts[idx], dst)) || fallback(idx); });
+    });
     return out;
   }
 
-  injectFallbackCss() {
+  /** style.css is not picked up by Obsidian (it loads styles.css), so inject it ourselves; inline rules if it cannot be read */
+  async injectFallbackCss() {
     const id = 'autotrans-inline-style'; if (document.getElementById(id)) return;
     const style = document.createElement('style'); style.id = id; style.textContent = `
       .autotrans-toggle{display:inline-flex;align-items:center;gap:6px;padding:4px 10px;border-radius:999px;border:1px solid var(--background-modifier-border);background:var(--background-secondary);font-size:12px;cursor:pointer;user-select:none;margin-right:8px}
@@ -246,30 +1325,186 @@ module.exports = class AutoTranslateUIPlugin extends Plugin {
       .autotrans-toggle .dot{width:8px;height:8px;border-radius:50%;background:var(--interactive-accent)}
       .autotrans-toggle[data-state="off"] .dot{background:var(--text-muted)}
       .modal .autotrans-toggle,.mod-settings .autotrans-toggle{position:absolute;top:8px;right:40px;z-index:5}
+      .autotrans-bilingual{display:block;color:var(--text-muted);font-size:.9em}
+      .autotrans-popover{position:fixed;display:none;z-index:var(--layer-tooltip);max-width:360px;padding:4px 8px;border-radius:6px;background:var(--background-secondary);border:1px solid var(--background-modifier-border);font-size:var(--font-ui-smaller);pointer-events:none}
+      .autotrans-popover.is-visible{display:block}
     `; document.head.appendChild(style);
+    this.register(() => style.remove());
+    try {
+      const css = await this.app.vault.adapter.read(`${this.manifest.dir}/style.css`);
+      if (css) style.textContent = css;
+    } catch {}
   }
 
+  /**
+   * Incremental scanning. Only surfaces (modals, settings and opted-in containers) are observed;
+   * mutations inside them queue just the added subtrees, and elements are translated once they
+   * come near the viewport (IntersectionObserver) instead of measuring every element per scan.
+   */
   setupObservers() {
-    // Settings panels in main area
-    const debouncedScan = this.debounce(() => this.scanAndTranslate(document.body), 200);
-    const mo = new MutationObserver(() => debouncedScan());
-    mo.observe(document.body, { subtree: true, childList: true, attributes: false });
-    this.register(() => mo.disconnect());
-
-    // Observe modals to inject toggle
-    const modalMo = new MutationObserver(muts => {
+    this.surfaceObservers = new Map(); // surface root -> MutationObserver
+    this.seen = new WeakSet(); // elements that have been near the viewport once
+    this.inView = new WeakSet(); // elements near the viewport now, for the queue's priority
+    this.watching = new Set(); // elements observed by the IntersectionObserver until they leave the page
+    this.pendingRoots = new Set();
+    this.flushPending = this.debounce(() => this.scanPending(), 150);
+    this.io = new IntersectionObserver(entries => this.onIntersect(entries), { rootMargin: '200px' });
+
+    // Modals (settings included) are appended straight to <body>, so only that level is watched globally
+    const bodyMo = new MutationObserver(muts => {
       for (const m of muts) {
-        for (const node of m.addedNodes) {
-          if (node instanceof HTMLElement && node.classList.contains('modal-container')) {
-            this.injectModalToggle(node);
-          }
-        }
+        m.addedNodes.forEach(node => { if (node instanceof HTMLElement) this.attachSurfaces(node); });
+        m.removedNodes.forEach(node => { if (node instanceof HTMLElement) this.detachSurfaces(node); });
       }
     });
-    modalMo.observe(document.body, { childList: true, subtree: true });
-    // ensure existing modals also get toggle
-    document.querySelectorAll('.modal-container').forEach(n => this.injectModalToggle(n));
-    this.register(() => modalMo.disconnect());
+    bodyMo.observe(document.body, { childList: true });
+    this.attachSurfaces(document.body);
+    // opted-in surfaces deeper in the workspace appear with layout changes
+    this.registerEvent(this.app.workspace.on('layout-change', () => this.attachSurfaces(document.body)));
+    this.register(() => {
+      bodyMo.disconnect(); this.io.disconnect();
+      this.surfaceObservers.forEach(mo => mo.disconnect()); this.surfaceObservers.clear();
+    });
+  }
+
+  uiSurfaceOn(name) { return !!this.settings.uiSurfaces?.[name]; }
+
+  surfaceSelector() {
+    const ui = Object.entries(UI_SURFACES).filter(([name, s]) => s.root && this.uiSurfaceOn(name)).map(([, s]) => s.root);
+    return ['.modal-container', ...ui, ...(this.settings.surfaces || [])].join(', ');
+  }
+
+  /** A UI surface was switched on or off: stop watching roots that no longer qualify and render again */
+  onUiSurfacesChanged() {
+    const sel = this.surfaceSelector();
+    for (const [root, mo] of this.surfaceObservers || []) if (!root.matches(sel)) { mo.disconnect(); this.surfaceObservers.delete(root); }
+    this.rerender();
+  }
+
+  /**
+   * Command palette: suggestions show the translated command name, and a query also matches commands whose
+   * cached translation contains it. Uses the internal palette modal, so it silently does nothing if that changes.
+   */
+  patchCommandPalette() {
+    const modal = this.app.internalPlugins?.getPluginById?.('command-palette')?.instance?.modal;
+    if (!modal || typeof modal.getSuggestions !== 'function' || typeof modal.renderSuggestion !== 'function') return;
+    const plugin = this; const on = () => plugin.settings.enabled && plugin.uiSurfaceOn('commandPalette');
+    const orig = {}; const own = {};
+    for (const k of ['getSuggestions', 'renderSuggestion', 'onOpen']) { orig[k] = modal[k]; own[k] = Object.prototype.hasOwnProperty.call(modal, k); }
+    modal.getSuggestions = function (query) {
+      const res = orig.getSuggestions.call(this, query);
+      const q = (query || '').trim().toLowerCase();
+      if (!on() || !q) return res;
+      const have = new Set(res.map(r => r.item?.id));
+      for (const cmd of this.getItems()) {
+        if (have.has(cmd.id)) continue;
+        const dst = plugin.cachedTranslation(cmd.name);
+        if (dst && dst.toLowerCase().includes(q)) res.push({ item: cmd, match: { score: 0, matches: [] } });
+      }
+      return res;
+    };
+    modal.renderSuggestion = function (value, el) {
+      orig.renderSuggestion.call(this, value, el);
+      const title = el.querySelector('.suggestion-title'); const name = value?.item?.name;
+      if (!on() || !title || !name) return;
+      // the match highlight changes with every keystroke; translate the bare name so the cache key stays the same
+      title.textContent = name;
+      plugin.translateTargets([title]);
+    };
+    modal.onOpen = function (...args) {
+      const r = orig.onOpen?.apply(this, args);
+      if (on()) plugin.warmCommandNames();
+      return r;
+    };
+    this.register(() => { for (const k in orig) { if (own[k]) modal[k] = orig[k]; else delete modal[k]; } });
+  }
+
+  /** Translates command names that are not cached yet, so the palette can match them in the target language */
+  async warmCommandNames() {
+    if (this.warming || this.settings.offlineOnly) return;
+    const names = Array.from(new Set(Object.values(this.app.commands?.commands || {}).map(c => c.name)))
+      .filter(n => n && !this.shouldSkip(n) && !this.cachedTranslation(n));
+    if (!names.length) return;
+    this.warming = true;
+    try { await this.cacheTexts(names); } catch (e) { console.warn('[auto-translate-ui] command names not translated', e); }
+    finally { this.warming = false; }
+  }
+
+  /** Translation already in the cache, without calling a provider */
+  cachedTranslation(text) {
+    const k = this.cacheKey(text, this.settings.sourceLang || 'auto', this.settings.targetLang || 'ko');
+    const dst = this.lru.get(k) || this.diskCache.get(k);
+    return dst ? this.fillTemplate(text, dst) : undefined;
+  }
+
+  /** Starts watching node if it is a surface, and every surface below it */
+  attachSurfaces(node) {
+    let roots = [];
+    try { const sel = this.surfaceSelector(); roots = node.matches(sel) ? [node] : Array.from(node.querySelectorAll(sel)); }
+    catch (e) { console.warn('[auto-translate-ui] bad surface selector', e); return; }
+    for (const root of roots) {
+      if (this.surfaceObservers.has(root) || this.isInsideSurface(root)) continue;
+      const mo = new MutationObserver(muts => this.onSurfaceMutations(muts));
+      // text and label edits too, so host updates of translated elements are noticed
+      mo.observe(root, { childList: true, subtree: true, characterData: true, attributes: true, attributeFilter: ['title', 'aria-label'] });
+      this.surfaceObservers.set(root, mo);
+      // the modal toggle runs the first scan of its modal
+      if (root.classList.contains('modal-container')) this.injectModalToggle(root);
+      else this.queueScan(root);
+    }
+  }
+
+  isInsideSurface(el) { for (let p = el.parentElement; p; p = p.parentElement) if (this.surfaceObservers.has(p)) return true; return false; }
+
+  detachSurfaces(node) {
+    for (const [root, mo] of this.surfaceObservers) if (node === root || node.contains(root)) { mo.disconnect(); this.surfaceObservers.delete(root); }
+    for (const el of this.watching) if (!el.isConnected) { this.io.unobserve(el); this.watching.delete(el); }
+  }
+
+  /** Our own nodes (toggle, bilingual line, popover) must not trigger scans */
+  isOwnNode(el) { return !!el.closest('.autotrans-toggle, .autotrans-bilingual, .autotrans-popover'); }
+
+  onSurfaceMutations(muts) {
+    const touched = new Set();
+    for (const m of muts) {
+      const target = m.target.nodeType === 1 ? m.target : m.target.parentElement;
+      const done = target?.closest('[data-autotranslated="true"]');
+      if (done && !this.isOwnNode(target)) touched.add(done);
+      for (const node of m.addedNodes) {
+        const el = node.nodeType === 1 ? node : node.parentElement;
+        if (el && !this.isOwnNode(el)) this.queueScan(el);
+      }
+    }
+    for (const el of touched) if (this.hostChanged(el)) this.adoptHostChange(el);
+  }
+
+  queueScan(el) { this.pendingRoots.add(el); this.flushPending(); }
+
+  scanPending() {
+    const roots = Array.from(this.pendingRoots).filter(el => el.isConnected); this.pendingRoots.clear();
+    let includeSel = null; try { includeSel = this.settings.includeSelectors.join(', ') || null; document.querySelector(includeSel); } catch { includeSel = null; }
+    const set = new Set();
+    for (const el of roots) {
+      // text added inside a target (e.g. a description re-rendered) means the target itself needs a look
+      const host = includeSel ? el.parentElement?.closest(includeSel) : null;
+      set.add(host || el);
+    }
+    for (const el of set) {
+      let nested = false; for (let p = el.parentElement; p; p = p.parentElement) if (set.has(p)) { nested = true; break; }
+      if (!nested) this.scanAndTranslate(el);
+    }
+  }
+
+  /** Elements stay observed after their first look so inView keeps telling the queue which strings are on screen */
+  onIntersect(entries) {
+    const ready = [];
+    for (const e of entries) {
+      if (!e.isIntersecting) { this.inView.delete(e.target); continue; }
+      this.inView.add(e.target);
+      if (this.seen.has(e.target)) continue;
+      this.seen.add(e.target); ready.push(e.target);
+    }
+    if (ready.length && this.settings.enabled) this.translateTargets(ready.filter(el => el.isConnected && el.getAttribute('data-autotranslated') !== 'true'));
   }
 
   debounce(fn, wait) {
@@ -277,53 +1512,126 @@ module.exports = class AutoTranslateUIPlugin extends Plugin {
   }
 
   refreshAll() {
-    this.scanAndTranslate(document.body);
+    if (!this.surfaceObservers) return;
+    this.attachSurfaces(document.body);
+    this.surfaceObservers.forEach((mo, root) => this.scanAndTranslate(root));
   }
 
-  collectTargets(root) {
-    const sels = new Set(this.settings.includeSelectors);
-    // Merge plugin-specific selectors if available
-    try {
-      const active = this.getActivePluginId();
-      if (active && this.settings.pluginSelectors && this.settings.pluginSelectors[active]) {
-        this.settings.pluginSelectors[active].forEach(s => sels.add(s));
-      }
-    } catch {}
+  /** Restores every original and translates again, e.g. after a render mode change */
+  rerender() { this.bumpGeneration(); this.restoreScope(document.body); this.refreshAll(); }
 
+  collectTargets(root, scope = this.getActiveScope(), includeDone = false) {
+    const sels = new Set(this.settings.includeSelectors);
+    for (const [name, s] of Object.entries(UI_SURFACES)) if (s.targets && this.uiSurfaceOn(name)) s.targets.forEach(t => sels.add(t));
     const exclude = this.settings.excludeSelectors || [];
     const elements = new Set();
+    const add = el => {
+      if (!(el instanceof HTMLElement)) return;
+      if (exclude.some(ex => el.closest(ex))) return;
+      if (el.closest('[data-autotrans-ignore]')) return;
+      if (!includeDone && el.getAttribute('data-autotranslated') === 'true') return; // done already; restoreScope clears the mark
+      elements.add(el);
+    };
 
     for (const sel of sels) {
-      root.querySelectorAll(sel).forEach(el => {
-        if (!(el instanceof HTMLElement)) return;
-        if (exclude.some(ex => el.closest(ex))) return;
-        if (el.closest('[data-autotrans-ignore]')) return;
-        elements.add(el);
-      });
+      try { if (root.matches?.(sel)) add(root); root.querySelectorAll(sel).forEach(add); } catch (e) { console.warn('[auto-translate-ui] bad selector', sel, e); }
     }
+    // plugin-specific selectors only apply inside that plugin's settings tab
+    const extra = scope ? (this.settings.pluginSelectors || {})[scope.id] : null;
+    if (extra && extra.length) {
+      const base = root.contains(scope.el) ? scope.el : scope.el.contains(root) ? root : null;
+      if (base) for (const sel of extra) { try { base.querySelectorAll(sel).forEach(add); } catch (e) { console.warn('[auto-translate-ui] bad plugin selector', sel, e); } }
+    }
+    if (scope && !scope.enabled) return Array.from(elements).filter(el => !scope.el.contains(el));
     return Array.from(elements);
   }
 
+  /** Adds a selector to include, exclude or the active plugin's list ('include' | 'exclude' | pluginId) and re-renders */
+  async addSelector(target, sel) {
+    const s = this.settings;
+    if (target === 'include' || target === 'exclude') {
+      const key = target === 'include' ? 'includeSelectors' : 'excludeSelectors';
+      if (!s[key].includes(sel)) s[key].push(sel);
+    } else {
+      s.pluginSelectors = s.pluginSelectors || {};
+      const list = s.pluginSelectors[target] || (s.pluginSelectors[target] = []);
+      if (!list.includes(sel)) list.push(sel);
+    }
+    await this.saveSettings();
+    this.rerender();
+    new Notice(`Added ${sel} to ${target === 'include' || target === 'exclude' ? target : `${target} selectors`}`);
+  }
+
+  /** Visible text in the settings tab (or topmost modal) that no include selector picks up */
+  findUncovered() {
+    const root = document.querySelector('.mod-settings .vertical-tab-content') || Array.from(document.querySelectorAll('.modal-container .modal')).pop();
+    if (!root) return { root: null, items: [] };
+    const targets = this.collectTargets(root, this.getActiveScope(), true);
+    const exclude = this.settings.excludeSelectors || [];
+    const byParent = new Map();
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      const n = walker.currentNode; const p = n.parentElement; const text = n.nodeValue.trim();
+      if (!text || !p || !p.getClientRects().length) continue;
+      if (p.closest('script, style, input, textarea, [data-autotrans-ignore]') || this.isOwnNode(p)) continue;
+      if (targets.some(t => t.contains(p)) || exclude.some(ex => p.closest(ex))) continue;
+      if (this.shouldSkip(text)) continue;
+      byParent.set(p, (byParent.has(p) ? byParent.get(p) + ' ' : '') + text);
+    }
+    return { root, items: Array.from(byParent, ([el, text]) => ({ el, text, selector: buildSelector(el, root) })) };
+  }
+
+  openCoverage() {
+    const { root, items } = this.findUncovered();
+    if (!root) { new Notice('Open a settings tab or modal first'); return; }
+    new CoverageModal(this.app, this, items).open();
+  }
+
+  /** Installed plugin manifests keyed by id (community plugins only) */
+  getPluginManifests() { return this.app.plugins?.manifests || {}; }
+
   getActivePluginId() {
-    // Best-effort: find current settings view heading that contains plugin id
-    // Fallback: undefined (user can still configure selectors globally)
+    // The settings modal knows its active tab; plugin tabs use the plugin id as tab id
+    const manifests = this.getPluginManifests();
     try {
-      const title = document.querySelector('.mod-settings .setting-item-title, .mod-settings .modal-title');
-      if (!title) return undefined;
-      const txt = title.textContent || '';
-      const m = txt.match(/[A-Za-z0-9_-]+/g);
-      if (m && m[0]) return m[0].toLowerCase();
+      const tab = this.app.setting?.activeTab;
+      if (tab && tab.id && manifests[tab.id]) return tab.id;
     } catch {}
-    return undefined;
+    // Fallback: match the active nav item label (original text, in case it is translated) against manifest names
+    const item = document.querySelector('.mod-settings .vertical-tab-nav-item.is-active');
+    if (!item) return undefined;
+    const label = (this.originalText.get(item)?.text ?? item.textContent ?? '').trim();
+    const hit = Object.values(manifests).find(m => m.name === label || m.id === label);
+    return hit ? hit.id : undefined;
+  }
+
+  getPluginOptions(id) { return Object.assign({ enabled: true, mode: 'inherit' }, (this.settings.pluginOptions || {})[id]); }
+
+  /** The open plugin settings tab: { id, el, enabled, mode } or null outside plugin tabs */
+  getActiveScope() {
+    const el = document.querySelector('.mod-settings .vertical-tab-content');
+    if (!el) return null;
+    const id = this.getActivePluginId();
+    if (!id) return null;
+    const opts = this.getPluginOptions(id);
+    return { id, el, enabled: opts.enabled !== false, mode: opts.mode && opts.mode !== 'inherit' ? normalizeMode(opts.mode) : null };
   }
 
   async scanAndTranslate(root) {
     if (!this.settings.enabled) return;
-    const els = this.collectTargets(root);
-    if (!els.length) return;
+    const scope = this.getActiveScope();
+    return this.translateTargets(this.collectTargets(root, scope), scope);
+  }
 
-    const mode = this.settings.mode || 'replace';
+  async translateTargets(els, scope = this.getActiveScope()) {
+    if (!els.length) return;
+    const mode = normalizeMode(this.settings.mode);
+    if (!scope || !scope.mode || scope.mode === mode) return this.translateGroup(els, mode);
+    await this.translateGroup(els.filter(el => !scope.el.contains(el)), mode);
+    await this.translateGroup(els.filter(el => scope.el.contains(el)), scope.mode);
+  }
 
+  async translateGroup(els, mode) {
     const attrEls = []; const textEls = []; const optionEls = [];
     for (const el of els) {
       if (el.tagName === 'OPTION') optionEls.push(el);
@@ -336,18 +1644,34 @@ module.exports = class AutoTranslateUIPlugin extends Plugin {
     await this.translateElements(textEls, mode);
   }
 
+  /** Records el as the host wrote it. Taken again whenever el is not showing a translation, so it is never stale */
   snapshotElement(el) {
-    if (this.originalText.has(el)) return;
-    const snap = { text: el.innerText, attr: {} };
+    const old = this.originalText.get(el);
+    if (old?.rendered) return;
+    const snap = { text: el.innerText, attr: {}, tree: [], values: [], rendered: false, out: null, forceNodes: old?.forceNodes };
     if (el.hasAttribute('title')) snap.attr.title = el.getAttribute('title');
     if (el.hasAttribute('aria-label')) snap.attr.ariaLabel = el.getAttribute('aria-label');
+    // rendering rewrites children of el and its direct inline children, or text node values deeper down
+    [el, ...el.children].forEach(n => snap.tree.push([n, Array.from(n.childNodes)]));
+    const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) snap.values.push([walker.currentNode, walker.currentNode.nodeValue]);
     this.originalText.set(el, snap);
   }
 
   restoreElement(el) {
     const snap = this.originalText.get(el);
     if (!snap) return;
-    if (typeof snap.text === 'string') el.innerText = snap.text;
+    this.tips.delete(el);
+    // the host rewrote el since we rendered it: keep its text and only undo what we wrote
+    if (snap.rendered && this.hostChanged(el)) { this.revertOwnWrites(el, snap); this.originalText.delete(el); el.removeAttribute('data-autotranslated'); return; }
+    if (snap.rendered) {
+      snap.values.forEach(([n, v]) => { if (n.nodeValue !== v) n.nodeValue = v; });
+      snap.tree.forEach(([n, kids]) => {
+        const cur = n.childNodes;
+        if (cur.length !== kids.length || kids.some((k, i) => cur[i] !== k)) n.replaceChildren(...kids);
+      });
+      snap.rendered = false; snap.out = null;
+    }
     if (snap.attr) {
       if ('title' in snap.attr) el.setAttribute('title', snap.attr.title ?? '');
       if ('ariaLabel' in snap.attr) el.setAttribute('aria-label', snap.attr.ariaLabel ?? '');
@@ -355,48 +1679,153 @@ module.exports = class AutoTranslateUIPlugin extends Plugin {
     el.removeAttribute('data-autotranslated');
   }
 
+  /** Remembers what el looks like right after we rendered it, to tell our own writes from the host's */
+  recordRendered(el) {
+    const snap = this.originalText.get(el); if (!snap) return;
+    const nodes = new Map(); const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) nodes.set(walker.currentNode, walker.currentNode.nodeValue);
+    snap.out = { nodes, title: el.getAttribute('title'), ariaLabel: el.getAttribute('aria-label') };
+  }
+
+  /** True when el no longer looks the way we rendered it */
+  hostChanged(el) {
+    const out = this.originalText.get(el)?.out; if (!out) return false;
+    if (el.getAttribute('title') !== out.title || el.getAttribute('aria-label') !== out.ariaLabel) return true;
+    let n = 0; const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) { const t = walker.currentNode; if (out.nodes.get(t) !== t.nodeValue) return true; n++; }
+    return n !== out.nodes.size;
+  }
+
+  /** Undoes our writes the host left alone: original text node values, attributes and the bilingual line */
+  revertOwnWrites(el, snap) {
+    const orig = new Map(snap.values);
+    for (const [node, v] of snap.out.nodes) if (el.contains(node) && node.nodeValue === v && orig.has(node)) node.nodeValue = orig.get(node);
+    el.querySelectorAll(':scope > .autotrans-bilingual').forEach(n => n.remove());
+    if ('title' in snap.attr && el.getAttribute('title') === snap.out.title) el.setAttribute('title', snap.attr.title ?? '');
+    if ('ariaLabel' in snap.attr && el.getAttribute('aria-label') === snap.out.ariaLabel) el.setAttribute('aria-label', snap.attr.ariaLabel ?? '');
+  }
+
+  /** A live label or stateful button changed under a translation: its new text is the original now, translate that */
+  adoptHostChange(el) {
+    this.revertOwnWrites(el, this.originalText.get(el));
+    this.tips.delete(el); this.originalText.delete(el);
+    el.removeAttribute('data-autotranslated');
+    this.queueScan(el);
+  }
+
+  /** Text nodes under el worth translating on their own (skips code/kbd, ignored and excluded subtrees) */
+  textNodesOf(el) {
+    const exclude = this.settings.excludeSelectors || [];
+    const nodes = []; const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      const n = walker.currentNode; const p = n.parentElement;
+      if (!n.nodeValue.trim() || !p) continue;
+      if (p.closest('code, kbd, pre, samp, var, [data-autotrans-ignore]')) continue;
+      if (p !== el && exclude.some(ex => p.closest(ex))) continue;
+      nodes.push(n);
+    }
+    return nodes;
+  }
+
+  /** Splits an element into translation units: its whole text, inline markup, or one unit per text node */
+  textUnits(el) {
+    const kind = this.originalText.get(el)?.forceNodes ? 'nodes' : inlineStructure(el);
+    if (kind === 'plain') { const t = (el.innerText || '').trim(); return t ? [{ kind, src: t }] : []; }
+    if (kind === 'markup') { const m = toMarkup(el); if (m) return m.src ? [{ kind, src: m.src, parts: m.parts }] : []; }
+    return this.textNodesOf(el).map(node => ({ kind: 'node', node, src: node.nodeValue.trim() }));
+  }
+
+  /**
+   * Where el appears, as one line for providers that take context: the settings tab, the section heading above it
+   * and its setting's name and description, all in the host's original wording. Empty outside the settings modal.
+   */
+  contextOf(el) {
+    const content = el.closest('.mod-settings .vertical-tab-content'); if (!content) return '';
+    const orig = n => (this.originalText.get(n)?.text ?? n.textContent ?? '').trim().replace(/\s+/g, ' ').slice(0, 200);
+    const id = this.getActivePluginId();
+    const tab = (id && this.getPluginManifests()[id]?.name) || this.app.setting?.activeTab?.name || '';
+    const parts = [tab && `${tab} settings`];
+    const item = el.closest('.setting-item');
+    if (!item?.matches('.setting-item-heading')) {
+      for (let n = item || el; n && n !== content; n = n.parentElement) {
+        let h = n.previousElementSibling;
+        while (h && !h.matches('.setting-item-heading, h1, h2, h3, h4')) h = h.previousElementSibling;
+        if (h) { parts.push(`section "${orig(h.querySelector('.setting-item-name') || h)}"`); break; }
+      }
+    }
+    if (item) {
+      const name = item.querySelector('.setting-item-name'); const desc = item.querySelector('.setting-item-description');
+      if (name && !name.contains(el) && orig(name)) parts.push(`setting "${orig(name)}"`);
+      if (desc && !desc.contains(el) && orig(desc)) parts.push(`description "${orig(desc)}"`);
+    }
+    return parts.filter(Boolean).join('; ');
+  }
+
+  /**
+   * Results that came back after a re-render or toggle are not written (they may be for the old mode), but they are
+   * cached by now, so the elements still on the page are scanned again instead of being left untranslated.
+   */
+  rescanStale(els) {
+    if (!this.settings.enabled) return;
+    new Set(els).forEach(el => { if (el.isConnected) this.queueScan(el); });
+  }
+
   async translateElements(els, mode) {
     const gen = this.generation;
-    const texts = [];
-    const targets = [];
+    const texts = []; const contexts = []; const owners = [];
+    const jobs = [];
     for (const el of els) {
-      if (!isElementVisible(el)) continue;
+      // off-screen elements wait for the IntersectionObserver
+      if (!this.seen.has(el)) { if (!this.watching.has(el)) { this.watching.add(el); this.io.observe(el); } continue; }
       if (el.closest('[data-autotrans-ignore]')) continue;
-      const t = (el.innerText || '').trim();
-      if (!t) continue;
+      el.querySelectorAll(':scope > .autotrans-bilingual').forEach(n => n.remove());
+      const units = this.textUnits(el);
+      if (!units.length) continue;
       this.snapshotElement(el);
-      texts.push(t);
-      targets.push(el);
+      jobs.push({ el, units, start: texts.length });
+      const context = this.contextOf(el);
+      units.forEach(u => { texts.push(u.src); contexts.push(context); owners.push(el); });
     }
     if (!texts.length) return;
-    const out = await this.batch(texts);
-    for (let i = 0; i < targets.length; i++) {
-      if (gen !== this.generation) return;
-      const el = targets[i];
+    const out = await this.batch(texts, contexts, owners);
+    if (gen !== this.generation) { this.rescanStale(jobs.map(j => j.el)); return; }
+    const retry = [];
+    for (const { el, units, start } of jobs) {
       if (el.closest('[data-autotrans-ignore]')) continue;
-      const src = texts[i]; const dst = out[i] || src;
-      this.render(el, src, dst, mode);
+      const dsts = units.map((u, i) => out[start + i] || u.src);
+      if (!this.render(el, units, dsts, mode)) retry.push(el);
+    }
+    // placeholders lost by the provider: fall back to one unit per text node
+    if (retry.length) {
+      console.warn('[auto-translate-ui] inline markup lost in translation, retrying per text node', retry);
+      retry.forEach(el => { this.originalText.get(el).forceNodes = true; });
+      await this.translateElements(retry, mode);
     }
   }
 
   async translateAttributes(els, mode) {
     const gen = this.generation;
-    const attrPairs = []; const texts = [];
+    const attrPairs = []; const texts = []; const contexts = [];
     for (const el of els) {
       if (el.closest('[data-autotrans-ignore]')) continue;
-      if (el.hasAttribute('title')) { const v = el.getAttribute('title'); if (v && v.trim()) { this.snapshotElement(el); texts.push(v.trim()); attrPairs.push([el, 'title']); } }
-      if (el.hasAttribute('aria-label')) { const v = el.getAttribute('aria-label'); if (v && v.trim()) { this.snapshotElement(el); texts.push(v.trim()); attrPairs.push([el, 'aria-label']); } }
+      this.snapshotElement(el);
+      // translate what the host wrote, not our own bilingual text from an earlier pass
+      const orig = this.originalText.get(el).attr; const context = this.contextOf(el);
+      if (el.hasAttribute('title')) { const v = orig.title ?? el.getAttribute('title'); if (v && v.trim()) { texts.push(v.trim()); contexts.push(context); attrPairs.push([el, 'title']); } }
+      if (el.hasAttribute('aria-label')) { const v = orig.ariaLabel ?? el.getAttribute('aria-label'); if (v && v.trim()) { texts.push(v.trim()); contexts.push(context); attrPairs.push([el, 'aria-label']); } }
     }
     if (!texts.length) return;
-    const out = await this.batch(texts);
+    const out = await this.batch(texts, contexts, attrPairs.map(([el]) => el));
+    if (gen !== this.generation) { this.rescanStale(attrPairs.map(([el]) => el)); return; }
     for (let i = 0; i < attrPairs.length; i++) {
-      if (gen !== this.generation) return;
       const [el, attr] = attrPairs[i];
       if (el.closest('[data-autotrans-ignore]')) continue;
       const src = texts[i]; const dst = out[i] || src;
-      if (mode === 'tooltip') { if (attr === 'title') el.setAttribute('title', dst); if (attr === 'aria-label') el.setAttribute('aria-label', dst); }
-      else { el.setAttribute(attr, dst); }
+      // tooltip mode leaves the host's own title/aria-label alone and shows ours in a popover
+      if (mode === 'tooltip') this.tips.set(el, dst);
+      else el.setAttribute(attr, mode === 'bilingual' && dst !== src ? `${src}\n${dst}` : dst);
       el.setAttribute('data-autotranslated', 'true');
+      this.originalText.get(el).rendered = true; this.recordRendered(el);
     }
   }
 
@@ -405,63 +1834,519 @@ module.exports = class AutoTranslateUIPlugin extends Plugin {
     const texts = []; const targets = [];
     for (const op of options) {
       if (op.closest('[data-autotrans-ignore]')) continue;
-      const t = (op.textContent || '').trim(); if (!t) continue; this.snapshotElement(op); texts.push(t); targets.push(op);
+      this.snapshotElement(op);
+      const t = (this.originalText.get(op).text ?? op.textContent ?? '').trim(); if (!t) continue; texts.push(t); targets.push(op);
     }
     if (!texts.length) return;
-    const out = await this.batch(texts);
+    // an <option> has no box of its own: its <select> decides whether it is in view
+    const out = await this.batch(texts, targets.map(op => this.contextOf(op)), targets.map(op => op.closest('select') || op));
+    if (gen !== this.generation) { this.rescanStale(targets.map(op => op.closest('select') || op)); return; }
     for (let i = 0; i < targets.length; i++) {
-      if (gen !== this.generation) return;
       const el = targets[i]; if (el.closest('[data-autotrans-ignore]')) continue; const src = texts[i]; const dst = out[i] || src;
-      if (mode === 'inline') el.textContent = `${src} (${dst})`;
+      // <option> can hold neither markup nor a hover, so bilingual is one line and tooltip falls back to replace
+      if (mode === 'bilingual' && dst !== src) el.textContent = `${src} (${dst})`;
       else el.textContent = dst;
+      const snap = this.originalText.get(el); if (snap) snap.rendered = true;
       el.setAttribute('data-autotranslated', 'true');
+      this.recordRendered(el);
     }
   }
 
-  render(el, src, dst, mode) { if (mode === 'inline') el.innerText = `${src} (${dst})`; else if (mode === 'tooltip') { el.setAttribute('title', dst); } else el.innerText = dst; el.setAttribute('data-autotranslated', 'true'); }
+  /** Writes translated units into el; false when markup could not be mapped back onto the original nodes */
+  render(el, units, dsts, mode) {
+    const snap = this.originalText.get(el);
+    if (mode === 'tooltip') { this.tips.set(el, dsts.map(stripMarkup).join(' ')); el.setAttribute('data-autotranslated', 'true'); if (snap) snap.rendered = true; this.recordRendered(el); return true; }
+    if (mode === 'bilingual') {
+      // original stays as it is; the translation goes on a second line
+      const text = dsts.map(stripMarkup).join(' ');
+      if (text !== units.map(u => stripMarkup(u.src)).join(' ')) {
+        const line = document.createElement('span'); line.className = 'autotrans-bilingual'; line.textContent = text;
+        el.appendChild(line);
+      }
+    } else for (let i = 0; i < units.length; i++) {
+      const u = units[i]; const dst = dsts[i];
+      if (u.kind === 'plain') el.innerText = dst;
+      else if (u.kind === 'node') {
+        const [, lead, , trail] = u.node.nodeValue.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        u.node.nodeValue = lead + dst + trail;
+      } else {
+        const built = fromMarkup(dst, u.parts);
+        if (!built) return false;
+        el.replaceChildren(...built.map(b => {
+          if (b instanceof Node) return b;
+          if (b.text != null) b.node.replaceChildren(document.createTextNode(b.text));
+          return b.node;
+        }));
+      }
+    }
+    if (snap) snap.rendered = true;
+    el.setAttribute('data-autotranslated', 'true');
+    this.recordRendered(el);
+    return true;
+  }
+
+  /** Hover popover for tooltip mode; one shared element, shown for whichever translated ancestor is hovered */
+  setupTooltip() {
+    this.tips = new WeakMap(); // element -> translated text
+    const pop = document.createElement('div'); pop.className = 'autotrans-popover'; document.body.appendChild(pop);
+    this.register(() => pop.remove());
+    const tipOwner = target => { for (let n = target; n && n !== document.body; n = n.parentElement) if (this.tips.has(n)) return n; return null; };
+    let current = null;
+    const hide = () => { current = null; pop.classList.remove('is-visible'); };
+    this.registerDomEvent(document, 'mouseover', e => {
+      const el = e.target instanceof Element ? tipOwner(e.target) : null;
+      if (!el) { if (current) hide(); return; }
+      if (el === current) return;
+      current = el; pop.textContent = this.tips.get(el);
+      const r = el.getBoundingClientRect();
+      pop.classList.add('is-visible');
+      // above the element, so it does not collide with Obsidian's own aria-label tooltip below it
+      const top = r.top - pop.offsetHeight - 6;
+      pop.style.top = `${top < 4 ? r.bottom + 6 : top}px`;
+      pop.style.left = `${Math.max(4, Math.min(r.left, window.innerWidth - pop.offsetWidth - 4))}px`;
+    });
+    // pointerdown comes before the mouseover a tap emulates, so on touch a tap hides the old popover and shows the new one
+    this.registerDomEvent(document, 'pointerdown', hide);
+    this.registerDomEvent(document, 'scroll', hide, true);
+  }
 
-  async batch(texts) { const promises = texts.map(t => new Promise((resolve, reject) => this.queue.enqueue({ text: t, resolve, reject }))); return Promise.all(promises); }
+  /**
+   * els (same order as texts) are the elements showing each string: visible ones are served first, detached ones
+   * dropped. Visibility comes from the IntersectionObserver; elements it does not watch (attribute-only, <select>)
+   * are few and count as visible.
+   */
+  async batch(texts, contexts = [], els = []) {
+    return Promise.all(texts.map((t, i) => {
+      const el = els[i] || null;
+      const visible = !!el && (!this.watching.has(el) || this.inView.has(el));
+      return this.queue.enqueue({ text: t, context: contexts[i] || '', el, visible });
+    }));
+  }
 
-  async translateAndCache(texts) {
+  /**
+   * contexts (text -> context) come from gatherTexts; crawls fill the shared entries and mark the context a label was
+   * sent with as checked, context entries appear while rendering
+   */
+  async translateAndCache(texts, contexts = null) {
     const src = this.settings.sourceLang || 'auto';
     const tgt = this.settings.targetLang || 'ko';
-    const keys = texts.map(t => sha1([this.providerName, src, tgt, t].join('|')));
-    const translated = await this.provider.translateMany(texts, src, tgt);
-    for (let i = 0; i < texts.length; i++) { const k = keys[i]; const dst = translated[i] ?? texts[i]; this.lru.set(k, dst); this.diskCache.set(k, dst); }
+    // reviewed translations are final: rebuilds do not send them to a provider again
+    texts = texts.filter(t => !this.shouldSkip(t) && !this.diskCache.isVerified(this.cacheKey(t, src, tgt)));
+    // as in translateMany, only short labels are sent with their context
+    const contextOf = new Map(); texts.forEach(t => { const k = toTemplate(t).text; if (!contextOf.get(k)) contextOf.set(k, isShortLabel(t) ? contexts?.get(t) || '' : ''); });
+    const templates = Array.from(contextOf.keys());
+    const keys = templates.map(t => this.cacheKey(t, src, tgt));
+    const { out: translated, provider } = templates.length ? await this.callProvider(templates, src, tgt, null, templates.map(t => contextOf.get(t))) : { out: [] };
+    for (let i = 0; i < templates.length; i++) {
+      const k = keys[i]; const dst = translated[i];
+      if (dst == null || slotCount(dst) !== slotCount(templates[i]) || isEphemeral(provider)) continue;
+      this.lru.set(k, dst); this.diskCache.set(k, dst, { src: templates[i], provider });
+      // the shared entry was translated in this context, so rendering it there needs no second check
+      const context = contextOf.get(templates[i]); if (context) this.diskCache.markContextChecked(this.cacheKey(templates[i], src, tgt, context));
+    }
     await this.diskCache.flush();
     return translated;
   }
 
-  gatherTexts(root) {
+  /** contexts (optional Map) receives the context of the first element each string was found in */
+  gatherTexts(root, contexts = null) {
+    // translated elements show our text and are skipped by collectTargets: put the originals back first
+    this.restoreScope(root);
     const els = this.collectTargets(root); const set = new Set();
     for (const el of els) {
-      if (el.tagName === 'OPTION') { const t = (el.textContent || '').trim(); if (t) set.add(t); continue; }
-      if (el.hasAttribute('title')) { const v = (el.getAttribute('title')||'').trim(); if (v) set.add(v); }
-      if (el.hasAttribute('aria-label')) { const v = (el.getAttribute('aria-label')||'').trim(); if (v) set.add(v); }
-      const t = (el.innerText || '').trim(); if (t) set.add(t);
+      const size = set.size;
+      if (el.tagName === 'OPTION') { const t = (el.textContent || '').trim(); if (t) set.add(t); }
+      else {
+        if (el.hasAttribute('title')) { const v = (el.getAttribute('title')||'').trim(); if (v) set.add(v); }
+        if (el.hasAttribute('aria-label')) { const v = (el.getAttribute('aria-label')||'').trim(); if (v) set.add(v); }
+        // same units translateElements looks up, so the cache keys match
+        this.textUnits(el).forEach(u => set.add(u.src));
+      }
+      if (contexts && set.size > size) { const context = this.contextOf(el); Array.from(set).slice(size).forEach(t => contexts.set(t, context)); }
+    }
+    this.queueScan(root);
+    return Array.from(set).filter(t => !this.shouldSkip(t));
+  }
+
+  /** Sends texts to the provider in rate-limited chunks and stores the results, overwriting cached entries; stops between chunks once cancelled() is true */
+  async cacheTexts(arr, cancelled = () => false, contexts = null) {
+    if (isEphemeral(this.settings.provider)) return;
+    const chunkSize = Math.max(1, this.settings.rateLimit?.batchSize || 20);
+    for (let i=0; i<arr.length && !cancelled(); i+=chunkSize) { const chunk = arr.slice(i, i+chunkSize); await this.translateAndCache(chunk, contexts); await sleep(rateInterval(this.settings.rateLimit)); }
+    await this.diskCache.flush();
+  }
+
+  async openSettingsModal() {
+    try { this.app.setting?.open?.(); } catch {}
+    try { this.app.commands?.executeCommandById?.('app:open-settings'); } catch {}
+    return this.waitFor(() => document.querySelector('.modal-container .modal.mod-settings, .modal-container.mod-settings, .mod-settings'), 5000, 100);
+  }
+
+  /**
+   * Opens a settings tab by id, waits for it to finish rendering, expands collapsed parts and returns the strings it renders.
+   * null when the tab did not open: openTabById leaves the previous tab showing for an unknown id.
+   */
+  async collectTabTexts(id, contexts = null) {
+    this.app.setting.openTabById(id);
+    if (this.app.setting.activeTab?.id !== id) return null;
+    const content = document.querySelector('.mod-settings .vertical-tab-content');
+    if (!content) return [];
+    await this.waitForStable(content);
+    // nested sections may only render their children once opened
+    for (let pass = 0; pass < 3 && this.expandCollapsed(content); pass++) await this.waitForStable(content);
+    return this.gatherTexts(content, contexts);
+  }
+
+  /**
+   * Readiness check for a settings tab: resolves once the element count and text length stay the same for
+   * a few polls. An empty tab needs a longer quiet period because async tabs render into it later.
+   */
+  async waitForStable(el, timeout = 5000, interval = 100, quiet = 3) {
+    const start = Date.now(); let last = ''; let same = 0;
+    while (Date.now() - start < timeout) {
+      const sig = `${el.getElementsByTagName('*').length}:${(el.textContent || '').length}`;
+      same = sig === last ? same + 1 : 0; last = sig;
+      if (same >= (el.childElementCount ? quiet : quiet * 4)) return true;
+      await sleep(interval);
+    }
+    return false;
+  }
+
+  /** Opens <details> and collapsed setting headings so their strings render; returns how many were opened */
+  expandCollapsed(root) {
+    let n = 0;
+    root.querySelectorAll('details:not([open])').forEach(d => { d.open = true; n++; });
+    root.querySelectorAll('.is-collapsed > .collapse-icon, .is-collapsed > :first-child .collapse-icon').forEach(icon => {
+      const holder = icon.closest('.is-collapsed'); icon.click();
+      if (holder?.classList.contains('is-collapsed')) holder.classList.remove('is-collapsed');
+      n++;
+    });
+    return n;
+  }
+
+  /** Every settings tab as { id, name }: core tabs first, then plugin tabs */
+  settingsTabs() {
+    const setting = this.app.setting;
+    const tabs = [...(setting?.settingTabs || []), ...(setting?.pluginTabs || [])].filter(t => t?.id);
+    return tabs.map(t => ({ id: t.id, name: t.name || this.getPluginManifests()[t.id]?.name || t.id }));
+  }
+
+  /** Remembers which cache keys a tab produced so entries can be pruned when its plugin is removed */
+  recordTab(id, texts) {
+    const src = this.settings.sourceLang || 'auto'; const tgt = this.settings.targetLang || 'ko';
+    this.diskCache.setOwner(id, this.getPluginManifests()[id]?.version ?? null, texts.map(t => this.cacheKey(t, src, tgt)));
+  }
+
+  canBuildCache() {
+    if (!this.provider) { new Notice('Set provider and key first'); return false; }
+    if (isEphemeral(this.providerName)) { new Notice(`${PROVIDER_LABELS[this.providerName]} is never cached. Pick another provider to build the cache.`); return false; }
+    return true;
+  }
+
+  /** Re-translates the strings of one plugin's settings tab, ignoring what is cached */
+  async rebuildPluginCache(id) {
+    try {
+      if (!this.canBuildCache()) return;
+      const back = this.app.setting?.activeTab?.id;
+      await this.openSettingsModal();
+      if (!this.app.setting?.openTabById) { new Notice('Cannot open plugin tab'); return; }
+      const contexts = new Map(); const arr = await this.collectTabTexts(id, contexts);
+      if (!arr) { new Notice(`Cannot open the settings tab of ${id}`); return; }
+      await this.cacheTexts(arr, undefined, contexts);
+      this.recordTab(id, arr); await this.diskCache.flush();
+      if (back && back !== id) this.app.setting.openTabById(back);
+      new Notice(`Rebuilt ${id}: ${arr.length} entries`);
+    } catch (e) { console.error(e); new Notice('Rebuild failed: ' + (e.message||e)); }
+  }
+
+  /**
+   * Installed plugins compared with the versions the cache was built against. Only plugins with a settings tab
+   * count as added or changed; disabled ones have nothing to crawl.
+   */
+  diffPlugins() {
+    const manifests = this.getPluginManifests(); const known = this.diskCache.index.plugins || {};
+    const tabbed = (this.app.setting?.pluginTabs || []).map(t => t?.id).filter(id => id && manifests[id]);
+    const added = tabbed.filter(id => !(id in known) && id !== this.manifest.id);
+    const changed = tabbed.filter(id => id in known && known[id] !== manifests[id].version);
+    const removed = Object.keys(known).filter(id => !manifests[id]);
+    return { added, changed, removed };
+  }
+
+  pruneRemovedPlugins(removed) {
+    let n = 0;
+    for (const id of removed) { const gone = this.diskCache.pruneOwner(id); gone.forEach(k => this.lru.map.delete(k)); n += gone.length; }
+    return n;
+  }
+
+  /**
+   * Incremental rebuild: prunes removed plugins, then crawls only the tabs of added/updated plugins
+   * and sends the strings that are not cached yet. interactive=false is the startup check.
+   */
+  async updateCacheForPluginChanges(interactive = true) {
+    try {
+      // nothing was crawled yet, so every plugin would count as added: that is for the full build, not a startup notice
+      if (!interactive && !Object.keys(this.diskCache.index.plugins || {}).length) return;
+      const { added, changed, removed } = this.diffPlugins();
+      const pruned = this.pruneRemovedPlugins(removed);
+      const todo = [...added, ...changed];
+      if (!todo.length) {
+        await this.diskCache.flush();
+        if (interactive || pruned) new Notice(pruned ? `Translation cache: pruned ${pruned} entries of ${removed.length} removed plugin(s)` : 'Translation cache is up to date');
+        return;
+      }
+      if (!interactive && !this.settings.autoUpdateCache) { new Notice(`Auto-Translate: ${todo.length} plugin(s) added or updated. Run "Update translation cache for changed plugins".`); return; }
+      if (!this.canBuildCache()) return;
+      await this.openSettingsModal();
+      if (!this.app.setting?.openTabById) { new Notice('Cannot open plugin tab'); return; }
+      const src = this.settings.sourceLang || 'auto'; const tgt = this.settings.targetLang || 'ko';
+      let sent = 0;
+      for (const id of todo) {
+        const contexts = new Map(); const arr = await this.collectTabTexts(id, contexts);
+        if (!arr) continue;
+        const missing = arr.filter(t => !this.diskCache.get(this.cacheKey(t, src, tgt)));
+        await this.cacheTexts(missing, undefined, contexts); sent += missing.length;
+        this.recordTab(id, arr);
+      }
+      await this.diskCache.flush();
+      new Notice(`Translation cache updated: ${todo.length} plugin(s), ${sent} new strings${pruned ? `, ${pruned} pruned` : ''}`);
+    } catch (e) { console.error(e); new Notice('Cache update failed: ' + (e.message||e)); }
+  }
+
+  /** key -> first settings tab that produced it */
+  keyOwners() {
+    const ownerOf = new Map();
+    for (const [tab, keys] of Object.entries(this.diskCache.index.owners || {})) keys.forEach(k => { if (!ownerOf.has(k)) ownerOf.set(k, tab); });
+    return ownerOf;
+  }
+
+  packFolder() { return (this.settings.packFolder || '').replace(/\/+$/, '') || `${this.manifest.dir || `${this.app.vault.configDir}/plugins/${this.manifest.id}`}/packs`; }
+
+  /**
+   * Readable translation pack: source, translation and the plugin (id + version) each string belongs to.
+   * pluginId limits it to one plugin's settings tab; entries without a known source cannot be shared.
+   */
+  buildPack(pluginId = null) {
+    const idx = this.diskCache.index; const manifests = this.getPluginManifests();
+    const ownerOf = this.keyOwners();
+    const keys = pluginId ? (idx.owners?.[pluginId] || []) : Object.keys(this.diskCache.map);
+    const entries = [];
+    for (const k of keys) {
+      const e = this.diskCache.entry(k); if (!e || !e.src) continue;
+      const plugin = pluginId || ownerOf.get(k) || null;
+      entries.push({
+        source: e.src, translation: e.dst,
+        plugin, pluginVersion: plugin ? (manifests[plugin]?.version ?? idx.plugins?.[plugin] ?? null) : null,
+        provider: e.provider || null, updated: e.at ? new Date(e.at).toISOString() : null,
+        ...(e.context ? { context: e.context } : {}), ...(e.verified ? { verified: true } : {}),
+      });
     }
-    return Array.from(set);
+    entries.sort((a, b) => (a.plugin || '').localeCompare(b.plugin || '') || a.source.localeCompare(b.source));
+    return {
+      format: 'auto-translate-ui-pack', formatVersion: 1, targetLang: this.settings.targetLang || 'ko',
+      plugin: pluginId ? { id: pluginId, version: manifests[pluginId]?.version ?? null } : null,
+      exported: new Date().toISOString(), entries,
+    };
+  }
+
+  async exportPack(pluginId = null) {
+    try {
+      const pack = this.buildPack(pluginId);
+      if (!pack.entries.length) { new Notice(pluginId ? `No cached strings with source text for ${pluginId}. Rebuild it first.` : 'Nothing to export'); return; }
+      const folder = this.packFolder();
+      try { await this.app.vault.adapter.mkdir(folder); } catch {}
+      const name = pluginId ? `${pluginId}-${pack.plugin.version || 'any'}` : 'all';
+      const path = `${folder}/${name}.${pack.targetLang}.json`;
+      await this.app.vault.adapter.write(path, JSON.stringify(pack, null, 2));
+      new Notice(`Exported ${pack.entries.length} entries to ${path}`);
+    } catch (e) { console.error(e); new Notice('Export failed: ' + (e.message || e)); }
+  }
+
+  /** Merges a pack into the cache. rule: 'mine' keeps existing translations, 'theirs' overwrites, 'newest' compares dates */
+  async importPack(path, rule = this.settings.packConflict || 'newest') {
+    try {
+      const pack = JSON.parse(await this.app.vault.adapter.read(path));
+      if (pack?.format !== 'auto-translate-ui-pack' || !Array.isArray(pack.entries)) throw new Error('not a translation pack');
+      const tgt = this.settings.targetLang || 'ko'; const src = this.settings.sourceLang || 'auto';
+      if (pack.targetLang && pack.targetLang !== tgt) { new Notice(`Pack is for "${pack.targetLang}", current target language is "${tgt}"`); return; }
+      let added = 0, replaced = 0, kept = 0;
+      const owners = {};
+      for (const e of pack.entries) {
+        if (!e || typeof e.source !== 'string' || typeof e.translation !== 'string' || !e.translation) continue;
+        const pair = templatePair(e.source, e.translation); if (!pair) { kept++; continue; }
+        const context = typeof e.context === 'string' ? e.context : '';
+        const k = this.cacheKey(pair.source, src, tgt, context);
+        const mine = this.diskCache.entry(k);
+        const theirsAt = Date.parse(e.updated) || 0;
+        const take = !mine || (!mine.verified && mine.dst !== pair.translation && (rule === 'theirs' || (rule === 'newest' && theirsAt > (mine.at || 0))));
+        if (take) {
+          this.diskCache.set(k, pair.translation, { src: pair.source, provider: e.provider || 'pack', at: theirsAt || Date.now(), ...(context ? { context } : {}), ...(e.verified === true ? { verified: true } : {}) });
+          this.lru.set(k, pair.translation);
+          if (mine) replaced++; else added++;
+        } else kept++;
+        if (e.plugin) (owners[e.plugin] = owners[e.plugin] || []).push(k);
+      }
+      Object.entries(owners).forEach(([id, keys]) => this.diskCache.addOwnerKeys(id, keys));
+      await this.diskCache.flush();
+      this.rerender();
+      new Notice(`Imported pack: ${added} added, ${replaced} replaced, ${kept} kept`);
+    } catch (e) { console.error(e); new Notice('Import failed: ' + (e.message || e)); }
+  }
+
+  async openMemoryView() {
+    const { workspace } = this.app;
+    const leaf = workspace.getLeavesOfType(VIEW_TYPE_TM)[0] || workspace.getLeaf('tab');
+    await leaf.setViewState({ type: VIEW_TYPE_TM, active: true });
+    workspace.revealLeaf(leaf);
+  }
+
+  /** Every cached pair for the translation memory view; legacy entries have no source */
+  memoryEntries() {
+    const ownerOf = this.keyOwners();
+    return Object.keys(this.diskCache.map).map(key => {
+      const e = this.diskCache.entry(key);
+      return { key, source: e.src || '', context: e.context || '', translation: e.dst || '', provider: e.provider || '', at: e.at || 0, plugin: ownerOf.get(key) || '', locked: !!e.verified };
+    });
+  }
+
+  /** A user edit: updates the live UI and locks the entry against automatic overwrite. False if ⟦V⟧ slots went missing */
+  editEntry(key, dst) {
+    const e = this.diskCache.entry(key); if (!e) return false;
+    if (e.src && fillMarkers(dst, 'V', new Array(slotCount(e.src)).fill('')) == null) { new Notice('Keep every ⟦V0⟧-style placeholder exactly once'); return false; }
+    this.diskCache.set(key, dst, { src: e.src, context: e.context, provider: 'manual', verified: true });
+    this.lru.set(key, dst);
+    this.rerender();
+    return true;
+  }
+
+  deleteEntries(keys) {
+    keys.forEach(k => { this.diskCache.remove(k); this.lru.map.delete(k); });
+    this.rerender();
+  }
+
+  /** Re-translates entries with the given provider; an explicit re-translation replaces locked entries too */
+  async retranslateEntries(keys, providerName) {
+    if (isEphemeral(providerName)) return 0;
+    const src = this.settings.sourceLang || 'auto'; const tgt = this.settings.targetLang || 'ko';
+    const items = keys.map(key => ({ key, e: this.diskCache.entry(key) })).filter(x => x.e?.src);
+    const chunkSize = Math.max(1, this.settings.rateLimit?.batchSize || 20);
+    let done = 0;
+    for (let i = 0; i < items.length; i += chunkSize) {
+      const chunk = items.slice(i, i + chunkSize);
+      const { out, provider } = await this.callProvider(chunk.map(x => x.e.src), src, tgt, providerName, chunk.map(x => x.e.context || ''));
+      chunk.forEach(({ key, e }, j) => {
+        if (out[j] == null || slotCount(out[j]) !== slotCount(e.src) || isEphemeral(provider)) return;
+        this.diskCache.setVerified(key, false);
+        this.diskCache.set(key, out[j], { src: e.src, context: e.context, provider });
+        this.lru.set(key, out[j]); done++;
+      });
+    }
+    await this.diskCache.flush();
+    this.rerender();
+    return done;
+  }
+
+  /** Cached entries reachable under the current languages and glossary, for PO/XLIFF review */
+  reviewEntries() {
+    const src = this.settings.sourceLang || 'auto'; const tgt = this.settings.targetLang || 'ko';
+    const ownerOf = this.keyOwners(); const out = [];
+    for (const k of Object.keys(this.diskCache.map)) {
+      const e = this.diskCache.entry(k);
+      if (!e?.src || this.cacheKey(e.src, src, tgt, e.context || '') !== k) continue; // legacy or stale key: nothing to review against
+      out.push({ source: e.src, translation: e.dst, context: ownerOf.get(k) || null, hint: e.context || null, provider: e.provider || null, verified: !!e.verified });
+    }
+    return out.sort((a, b) => (a.context || '').localeCompare(b.context || '') || a.source.localeCompare(b.source) || (a.hint || '').localeCompare(b.hint || ''));
+  }
+
+  /** format: 'po' | 'xliff12' | 'xliff20' */
+  async exportReview(format) {
+    try {
+      const entries = this.reviewEntries();
+      if (!entries.length) { new Notice('Nothing to export'); return; }
+      const tgt = this.settings.targetLang || 'ko';
+      const body = format === 'po' ? toPo(entries, tgt) : toXliff(entries, tgt, format === 'xliff20' ? '2.0' : '1.2');
+      const folder = this.packFolder();
+      try { await this.app.vault.adapter.mkdir(folder); } catch {}
+      const path = `${folder}/obsidian-ui.${tgt}${format === 'po' ? '.po' : format === 'xliff20' ? '.xliff2.xlf' : '.xlf'}`;
+      await this.app.vault.adapter.write(path, body);
+      new Notice(`Exported ${entries.length} entries to ${path}`);
+    } catch (e) { console.error(e); new Notice('Export failed: ' + (e.message || e)); }
+  }
+
+  /** Imports a reviewed PO/XLIFF file; translated (non-fuzzy) entries become human-verified */
+  async importReview(path) {
+    try {
+      const text = await this.app.vault.adapter.read(path);
+      const units = /\.po$/i.test(path) ? parsePo(text) : parseXliff(text);
+      const src = this.settings.sourceLang || 'auto'; const tgt = this.settings.targetLang || 'ko';
+      let verified = 0, skipped = 0;
+      for (const u of units) {
+        const pair = !u.fuzzy && u.translation ? templatePair(u.source, u.translation) : null;
+        if (!pair) { skipped++; continue; }
+        const k = this.cacheKey(pair.source, src, tgt, u.hint || '');
+        const mine = this.diskCache.entry(k);
+        this.diskCache.set(k, pair.translation, { src: pair.source, context: u.hint || undefined, provider: mine?.provider || 'review', verified: true });
+        this.lru.set(k, pair.translation);
+        if (u.context) this.diskCache.addOwnerKeys(u.context, [k]);
+        verified++;
+      }
+      await this.diskCache.flush();
+      this.rerender();
+      new Notice(`Imported ${verified} reviewed entries${skipped ? `, skipped ${skipped} fuzzy, empty or with missing placeholders` : ''}`);
+    } catch (e) { console.error(e); new Notice('Import failed: ' + (e.message || e)); }
   }
 
   async waitFor(fn, timeout=5000, interval=100) { const start = Date.now(); while (Date.now()-start < timeout) { const el = fn(); if (el) return el; await sleep(interval); } return null; }
 
-  async prebuildCacheAllSettings() {
+  /**
+   * Full crawl: opens every settings tab, translates its strings and records a checkpoint after each tab,
+   * so a cancelled or interrupted crawl resumes at the next tab. fresh=true discards the checkpoint.
+   */
+  async prebuildCacheAllSettings(fresh = false) {
+    if (this.crawl) { new Notice('The translation cache is already being built'); return; }
     try {
-      if (!this.provider) { new Notice('Set provider and key first'); return; }
-      try { this.app.setting?.open?.(); } catch {}
-      try { this.app.commands?.executeCommandById?.('app:open-settings'); } catch {}
-      const modal = await this.waitFor(() => document.querySelector('.modal-container .modal.mod-settings, .modal-container.mod-settings, .mod-settings'), 5000, 100);
-      const navItems = Array.from(document.querySelectorAll('.vertical-tabs-container .vertical-tab-nav-item'));
-      const all = new Set();
-      if (!navItems.length) { const content = document.querySelector('.vertical-tab-content') || document.body; this.gatherTexts(content).forEach(t => all.add(t)); }
-      else {
-        for (const item of navItems) { item.click(); await sleep(250); const content = document.querySelector('.vertical-tab-content') || modal || document.body; this.gatherTexts(content).forEach(t => all.add(t)); }
+      if (!this.canBuildCache()) return;
+      await this.openSettingsModal();
+      const tabs = this.settingsTabs();
+      if (!tabs.length || !this.app.setting?.openTabById) { new Notice('Cannot list settings tabs'); return; }
+      let state = fresh ? null : await this.diskCache.readCrawl();
+      // cache keys include the provider, so a checkpoint from another provider cannot be resumed
+      if (state?.provider !== this.providerName) state = null;
+      const resumed = !!state;
+      state = state || { provider: this.providerName, started: Date.now(), done: {} };
+      const job = this.crawl = { cancelled: false, modal: null };
+      const modal = job.modal = new CrawlProgressModal(this.app, tabs, state.done, () => { job.cancelled = true; });
+      modal.open();
+      if (resumed) modal.setStatus(`Resuming: ${Object.keys(state.done).length} of ${tabs.length} tabs were done before`);
+      const sent = new Set(); const failed = [];
+      for (const tab of tabs) {
+        if (job.cancelled) break;
+        if (tab.id in state.done) continue;
+        modal.setTab(tab.id, 'reading…');
+        const contexts = new Map(); const texts = await this.collectTabTexts(tab.id, contexts);
+        if (!texts) { failed.push(tab); modal.setTab(tab.id, 'could not open'); continue; }
+        modal.setTab(tab.id, `${texts.length} strings, translating…`);
+        const todo = texts.filter(t => !sent.has(t)); todo.forEach(t => sent.add(t));
+        await this.cacheTexts(todo, () => job.cancelled, contexts);
+        if (job.cancelled) { modal.setTab(tab.id, 'cancelled'); break; }
+        this.recordTab(tab.id, texts);
+        state.done[tab.id] = texts.length; await this.diskCache.writeCrawl(state);
+        modal.setTab(tab.id, texts.length);
       }
-      const arr = Array.from(all);
-      const chunkSize = Math.max(1, this.settings.rateLimit?.batchSize || 20);
-      for (let i=0; i<arr.length; i+=chunkSize) { const chunk = arr.slice(i, i+chunkSize); await this.translateAndCache(chunk); await sleep(Math.max(250, Math.floor(1000/Math.max(1, this.settings.rateLimit?.rps || 4)))); }
-      await this.diskCache.flush(); this.settings.offlineOnly = true; await this.saveSettings(); new Notice(`Pre-translation done: ${arr.length} entries. Cache-only mode ON`);
-    } catch (e) { console.error(e); new Notice('Pre-translation failed: ' + (e.message||e)); }
+      await this.diskCache.flush();
+      if (job.cancelled) {
+        const left = tabs.filter(t => !(t.id in state.done)).length;
+        modal.stop(`Cancelled. ${left} tab(s) left; run the build again to resume.`);
+        new Notice(`Pre-translation paused: ${left} tab(s) left`);
+        return;
+      }
+      await this.diskCache.clearCrawl();
+      this.pruneRemovedPlugins(this.diffPlugins().removed); await this.diskCache.flush();
+      const total = tabs.reduce((n, t) => n + (state.done[t.id] || 0), 0);
+      const empty = tabs.filter(t => !state.done[t.id] && !failed.includes(t));
+      modal.finish(total, empty, failed);
+      this.settings.offlineOnly = true; await this.saveSettings(); new Notice(`Pre-translation done: ${total} strings in ${tabs.length} tabs. Cache-only mode ON`);
+    } catch (e) { console.error(e); new Notice('Pre-translation failed: ' + (e.message||e)); this.crawl?.modal?.stop('Failed: ' + (e.message||e) + '. Run the build again to resume.'); }
+    finally { this.crawl = null; }
   }
 
   // Modal toggle injection
@@ -482,6 +2367,7 @@ module.exports = class AutoTranslateUIPlugin extends Plugin {
 
       const toggle = document.createElement('div');
       toggle.className = 'autotrans-toggle';
+      toggle.setAttribute('role', 'button'); toggle.tabIndex = 0;
       const initOn = !!this.settings.enabled;
       toggle.dataset.state = initOn ? 'on' : 'off';
       toggle.innerHTML = `<span class="dot"></span><span class="label">${initOn ? '번역 ON' : '번역 OFF'}</span>`;
@@ -503,8 +2389,9 @@ module.exports = class AutoTranslateUIPlugin extends Plugin {
       }
 
       this.modalStates.set(container, initOn);
+      // results for an isolated modal are skipped by their data-autotrans-ignore check, so no generation bump here:
+      // it would also throw away what every other surface is waiting for
       const applyIsolation = (on) => {
-        this.bumpGeneration();
         if (on) { modalEl.removeAttribute('data-autotrans-ignore'); this.scanAndTranslate(modalEl); }
         else { modalEl.setAttribute('data-autotrans-ignore','true'); this.restoreScope(modalEl); }
       };
@@ -516,6 +2403,7 @@ module.exports = class AutoTranslateUIPlugin extends Plugin {
         toggle.querySelector('.label').textContent = next ? '번역 ON' : '번역 OFF';
         applyIsolation(next);
       });
+      toggle.addEventListener('keydown', e => { if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); toggle.click(); } });
     } catch (e) { console.warn('toggle inject fail', e); }
   }
 
@@ -525,6 +2413,266 @@ module.exports = class AutoTranslateUIPlugin extends Plugin {
   }
 }
 
+/** Proposes a stable selector: tag + non-state classes, anchored on the nearest classed ancestor when el has none */
+function selectorPart(el) {
+  const cls = Array.from(el.classList).filter(c => !/^(is-|has-|mod-active|autotrans-)/.test(c) && !/\d{3,}/.test(c)).slice(0, 2);
+  return tagOf(el).toLowerCase() + cls.map(c => '.' + CSS.escape(c)).join('');
+}
+function buildSelector(el, root) {
+  const own = selectorPart(el);
+  if (own.includes('.')) return own;
+  for (let p = el.parentElement; p && p !== root && p !== document.body; p = p.parentElement) {
+    const part = selectorPart(p); if (part.includes('.')) return `${part} ${own}`;
+  }
+  return own;
+}
+
+/**
+ * Hover-highlight element picker. Clicking proposes a selector; settings nav items still work so
+ * the user can switch tabs while picking. Keys: C = coverage of the current tab, Esc = cancel.
+ * Touch has no hover, so the first tap highlights an element and shows its selector and a second tap
+ * on it picks; the hint bar carries buttons for what the keys do on desktop.
+ */
+class ElementPicker {
+  constructor(plugin) { this.plugin = plugin; this.active = false; }
+  start() {
+    if (this.active) return; this.active = true; this.armed = null; this.pointer = 'mouse';
+    this.box = document.body.appendChild(Object.assign(document.createElement('div'), { className: 'autotrans-pick-highlight' }));
+    this.hint = document.body.appendChild(Object.assign(document.createElement('div'), { className: 'autotrans-pick-hint' }));
+    this.hint.append(Platform.isMobile ? 'Tap an element to highlight it, tap again to propose a selector' : 'Click an element to propose a selector · C: untranslated text in this tab · Esc: cancel');
+    const action = (text, run) => this.hint.appendChild(Object.assign(document.createElement('button'), { textContent: text, onclick: run }));
+    this.actions = [action('Untranslated text', () => { this.stop(); this.plugin.openCoverage(); }), action('Cancel', () => this.stop())];
+    this.onPointer = e => { this.pointer = e.pointerType || 'mouse'; };
+    this.onMove = e => { if (e.pointerType === 'mouse') this.highlight(this.pickable(e.target)); };
+    this.onClick = e => {
+      const button = this.actions.find(b => b.contains(e.target));
+      if (button) { e.preventDefault(); e.stopPropagation(); button.onclick(); return; }
+      if (e.target.closest?.('.vertical-tab-nav-item')) return; // let tab switching through
+      const el = this.pickable(e.target); if (!el) return;
+      e.preventDefault(); e.stopPropagation();
+      if (this.pointer !== 'mouse' && el !== this.armed) { this.armed = el; this.highlight(el); return; }
+      this.stop();
+      new PickResultModal(this.plugin.app, this.plugin, el).open();
+    };
+    this.onKey = e => {
+      if (e.key === 'Escape') { e.preventDefault(); e.stopPropagation(); this.stop(); }
+      else if (e.key === 'c' || e.key === 'C') { e.preventDefault(); e.stopPropagation(); this.stop(); this.plugin.openCoverage(); }
+    };
+    document.addEventListener('pointerdown', this.onPointer, true);
+    document.addEventListener('pointermove', this.onMove, true);
+    document.addEventListener('click', this.onClick, true);
+    document.addEventListener('keydown', this.onKey, true);
+  }
+  stop() {
+    if (!this.active) return; this.active = false;
+    document.removeEventListener('pointerdown', this.onPointer, true);
+    document.removeEventListener('pointermove', this.onMove, true);
+    document.removeEventListener('click', this.onClick, true);
+    document.removeEventListener('keydown', this.onKey, true);
+    this.box?.remove(); this.hint?.remove();
+  }
+  pickable(t) { const el = t instanceof Element ? t : null; return el && !this.plugin.isOwnNode(el) && !el.closest('.autotrans-pick-hint') ? el : null; }
+  highlight(el) {
+    if (!el) { this.box.style.display = 'none'; return; }
+    const r = el.getBoundingClientRect();
+    Object.assign(this.box.style, { display: 'block', top: `${r.top}px`, left: `${r.left}px`, width: `${r.width}px`, height: `${r.height}px` });
+    this.box.dataset.selector = buildSelector(el, document.querySelector('.mod-settings .vertical-tab-content'));
+  }
+}
+
+/** Progress of the full cache crawl: one row per settings tab with its string count, a cancel button and the final report */
+class CrawlProgressModal extends Modal {
+  constructor(app, tabs, done, onCancel) { super(app); this.tabs = tabs; this.done = done; this.onCancel = onCancel; this.rows = new Map(); this.finished = false; }
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty(); contentEl.setAttr('data-autotrans-ignore', 'true');
+    contentEl.createEl('h3', { text: 'Building translation cache' });
+    this.statusEl = contentEl.createEl('p', { cls: 'setting-item-description' });
+    const list = contentEl.createDiv({ cls: 'autotrans-crawl-list' });
+    for (const tab of this.tabs) {
+      const row = list.createDiv({ cls: 'autotrans-crawl-row' });
+      row.createSpan({ text: tab.name });
+      this.rows.set(tab.id, { row, count: row.createSpan({ cls: 'autotrans-crawl-count' }) });
+      if (tab.id in this.done) this.setTab(tab.id, this.done[tab.id]);
+    }
+    this.reportEl = contentEl.createDiv();
+    this.buttons = new Setting(contentEl).addButton(b => { this.cancelBtn = b; b.setButtonText('Cancel').setWarning().onClick(() => this.cancel()); });
+    this.updateProgress();
+  }
+  /** status is a string while working, or the final string count */
+  setTab(id, status) {
+    const r = this.rows.get(id); if (!r) return;
+    const final = typeof status === 'number';
+    r.count.setText(final ? String(status) : status);
+    r.row.toggleClass('is-active', !final); r.row.toggleClass('is-done', final); r.row.toggleClass('is-empty', status === 0);
+    if (!final) r.row.scrollIntoView?.({ block: 'nearest' });
+    this.updateProgress();
+  }
+  setStatus(text) { this.statusText = text; this.statusEl?.setText(text); }
+  updateProgress() {
+    if (this.statusText || !this.statusEl) return;
+    this.statusEl.setText(`${Object.keys(this.done).length} / ${this.tabs.length} tabs`);
+  }
+  cancel() {
+    if (this.finished) { this.close(); return; }
+    this.onCancel(); this.cancelBtn?.setDisabled(true).setButtonText('Cancelling…');
+  }
+  /** The crawl ended early: the cancel button becomes a close button */
+  stop(text) {
+    this.finished = true; this.setStatus(text);
+    this.cancelBtn?.setDisabled(false).setButtonText('Close').buttonEl.removeClass('mod-warning');
+  }
+  /** empty: tabs that opened but produced no strings; failed: tabs that could not be opened */
+  finish(total, empty, failed = []) {
+    this.stop(`Done: ${total} strings in ${this.tabs.length} tabs. Cache-only mode is on.`);
+    if (!this.reportEl) return;
+    this.reportEl.empty();
+    if (!empty.length && !failed.length) { this.reportEl.createEl('p', { text: 'Every tab produced strings.' }); return; }
+    const list = (text, tabs) => {
+      if (!tabs.length) return;
+      this.reportEl.createEl('p', { text });
+      const ul = this.reportEl.createEl('ul');
+      tabs.forEach(t => ul.createEl('li', { text: t.name }));
+    };
+    list(`${failed.length} tab(s) could not be opened. Run the build again to retry them.`, failed);
+    list(`${empty.length} tab(s) produced no strings. Their text may sit outside the include selectors; open the tab and use "Inspect: show text the current settings tab does not translate".`, empty);
+  }
+  // closing the window while the crawl runs stops it at the next checkpoint
+  onClose() { if (!this.finished) this.onCancel(); this.contentEl.empty(); this.rows.clear(); }
+}
+
+/** Shows the proposed selector for a picked element and adds it to include, exclude or the plugin's list */
+class PickResultModal extends Modal {
+  constructor(app, plugin, el) { super(app); this.plugin = plugin; this.el = el; }
+  onOpen() {
+    const { contentEl } = this; const plugin = this.plugin;
+    contentEl.setAttr('data-autotrans-ignore', 'true');
+    contentEl.createEl('h3', { text: 'Selector for picked element' });
+    contentEl.createEl('p', { cls: 'setting-item-description', text: (this.el.textContent || '').trim().slice(0, 160) || '(no text)' });
+    let sel = buildSelector(this.el, document.querySelector('.mod-settings .vertical-tab-content'));
+    const count = contentEl.createEl('p', { cls: 'setting-item-description' });
+    const updateCount = () => { try { count.setText(`Matches ${document.querySelectorAll(sel).length} element(s) on screen`); } catch { count.setText('Invalid selector'); } };
+    new Setting(contentEl).setName('Selector')
+      .addText(t => { t.setValue(sel).onChange(v => { sel = v.trim(); updateCount(); }); t.inputEl.addClass('autotrans-pick-input'); });
+    updateCount();
+    const scope = plugin.getActiveScope();
+    const add = async target => { try { document.querySelector(sel); } catch { new Notice('Invalid selector'); return; } await plugin.addSelector(target, sel); this.close(); };
+    const row = new Setting(contentEl)
+      .addButton(b => b.setButtonText('Add to include').setCta().onClick(() => add('include')))
+      .addButton(b => b.setButtonText('Add to exclude').onClick(() => add('exclude')));
+    if (scope) row.addButton(b => b.setButtonText(`Add to ${plugin.getPluginManifests()[scope.id]?.name || scope.id}`).onClick(() => add(scope.id)));
+  }
+  onClose() { this.contentEl.empty(); }
+}
+
+/** Lists visible text the current settings tab leaves untranslated, with a proposed selector for each */
+class CoverageModal extends Modal {
+  constructor(app, plugin, items) { super(app); this.plugin = plugin; this.items = items; }
+  onOpen() {
+    const { contentEl } = this; const plugin = this.plugin;
+    contentEl.setAttr('data-autotrans-ignore', 'true');
+    contentEl.createEl('h3', { text: 'Untranslated text in this tab' });
+    if (!this.items.length) { contentEl.createEl('p', { text: 'Everything visible is covered by the include selectors.' }); return; }
+    contentEl.createEl('p', { cls: 'setting-item-description', text: `${this.items.length} text block(s) are not matched by the include selectors. Hover a row to highlight it.` });
+    const scope = plugin.getActiveScope();
+    const list = contentEl.createDiv({ cls: 'autotrans-coverage-list' });
+    for (const item of this.items) {
+      const row = new Setting(list).setName(item.text.slice(0, 120)).setDesc(item.selector)
+        .addButton(b => b.setButtonText('Include').onClick(async () => { await plugin.addSelector('include', item.selector); row.settingEl.remove(); }));
+      if (scope) row.addButton(b => b.setButtonText('Plugin').setTooltip(`Add to ${scope.id} selectors`).onClick(async () => { await plugin.addSelector(scope.id, item.selector); row.settingEl.remove(); }));
+      row.settingEl.addEventListener('mouseenter', () => item.el.addClass?.('autotrans-coverage-mark'));
+      row.settingEl.addEventListener('mouseleave', () => item.el.removeClass?.('autotrans-coverage-mark'));
+    }
+  }
+  onClose() { this.items.forEach(i => i.el.removeClass?.('autotrans-coverage-mark')); this.contentEl.empty(); }
+}
+
+const VIEW_TYPE_TM = 'auto-translate-memory';
+
+/** Translation memory: every cached pair with its source, searchable and editable in place */
+class TranslationMemoryView extends ItemView {
+  constructor(leaf, plugin) { super(leaf); this.plugin = plugin; this.query = ''; this.selected = new Set(); this.limit = 200; this.provider = plugin.settings.provider; }
+  getViewType() { return VIEW_TYPE_TM; }
+  getDisplayText() { return 'Translation memory'; }
+  getIcon() { return 'languages'; }
+  async onOpen() {
+    const { contentEl } = this;
+    contentEl.empty(); contentEl.addClass('autotrans-tm'); contentEl.setAttr('data-autotrans-ignore', 'true');
+    const bar = contentEl.createDiv({ cls: 'autotrans-tm-toolbar' });
+    const search = this.plugin.debounce(() => { this.limit = 200; this.renderTable(); }, 200);
+    new TextComponent(bar).setPlaceholder('Search source, translation, plugin…').onChange(v => { this.query = v.trim().toLowerCase(); search(); });
+    const cacheable = Object.fromEntries(Object.entries(PROVIDER_LABELS).filter(([name]) => !isEphemeral(name)));
+    if (isEphemeral(this.provider)) this.provider = Object.keys(cacheable)[0];
+    new DropdownComponent(bar).addOptions(cacheable).setValue(this.provider).onChange(v => { this.provider = v; });
+    new ButtonComponent(bar).setButtonText('Re-translate selected').onClick(async () => {
+      const keys = Array.from(this.selected); if (!keys.length) return;
+      try { const n = await this.plugin.retranslateEntries(keys, this.provider); new Notice(`Re-translated ${n} of ${keys.length} entries with ${PROVIDER_LABELS[this.provider]}`); }
+      catch (e) { console.error(e); new Notice('Re-translate failed: ' + (e.message || e)); }
+      this.selected.clear(); this.renderTable();
+    });
+    new ButtonComponent(bar).setButtonText('Delete selected').setWarning().onClick(() => {
+      if (!this.selected.size) return;
+      this.plugin.deleteEntries(Array.from(this.selected)); new Notice(`Deleted ${this.selected.size} entries`);
+      this.selected.clear(); this.renderTable();
+    });
+    new ButtonComponent(bar).setIcon('refresh-cw').setTooltip('Reload').onClick(() => this.renderTable());
+    this.summaryEl = contentEl.createDiv({ cls: 'autotrans-tm-summary' });
+    this.tableWrap = contentEl.createDiv();
+    this.renderTable();
+  }
+  async onClose() { this.contentEl.empty(); }
+
+  renderTable() {
+    const plugin = this.plugin; const q = this.query;
+    const all = plugin.memoryEntries();
+    const rows = all.filter(r => !q || [r.source, r.context, r.translation, r.plugin, r.provider].some(v => v.toLowerCase().includes(q)))
+      .sort((a, b) => b.at - a.at);
+    const keys = new Set(all.map(r => r.key)); this.selected.forEach(k => { if (!keys.has(k)) this.selected.delete(k); });
+    const summary = () => this.summaryEl.setText(`${rows.length} of ${all.length} entries${this.selected.size ? `, ${this.selected.size} selected` : ''}`);
+    summary();
+    const wrap = this.tableWrap; wrap.empty();
+    const table = wrap.createEl('table', { cls: 'autotrans-tm-table' });
+    const head = table.createEl('thead').createEl('tr');
+    const allBox = head.createEl('th').createEl('input', { type: 'checkbox' });
+    allBox.addEventListener('change', () => { rows.slice(0, this.limit).forEach(r => allBox.checked ? this.selected.add(r.key) : this.selected.delete(r.key)); this.renderTable(); });
+    ['Source', 'Translation', 'Provider', 'Updated', 'Plugin', 'Locked'].forEach(h => head.createEl('th', { text: h }));
+    const body = table.createEl('tbody');
+    for (const r of rows.slice(0, this.limit)) {
+      const tr = body.createEl('tr', { cls: r.locked ? 'is-locked' : '' });
+      const box = tr.createEl('td').createEl('input', { type: 'checkbox' }); box.checked = this.selected.has(r.key);
+      box.addEventListener('change', () => { if (box.checked) this.selected.add(r.key); else this.selected.delete(r.key); summary(); });
+      const srcTd = tr.createEl('td', { cls: 'autotrans-tm-source', text: r.source || '(source not recorded)' });
+      if (r.context) srcTd.createDiv({ cls: 'autotrans-tm-context', text: r.context });
+      const area = tr.createEl('td').createEl('textarea', { cls: 'autotrans-tm-translation' }); area.value = r.translation; area.rows = 1;
+      area.addEventListener('change', () => {
+        if (!area.value || area.value === r.translation) return;
+        if (plugin.editEntry(r.key, area.value)) { r.translation = area.value; lock.setValue(true); } else area.value = r.translation;
+      });
+      tr.createEl('td', { text: r.provider });
+      tr.createEl('td', { text: r.at ? new Date(r.at).toLocaleString() : '' });
+      tr.createEl('td', { text: r.plugin });
+      const lock = new ToggleComponent(tr.createEl('td')).setValue(r.locked).setTooltip('Locked entries are never overwritten automatically')
+        .onChange(v => { plugin.diskCache.setVerified(r.key, v); tr.toggleClass('is-locked', v); });
+    }
+    if (rows.length > this.limit) new ButtonComponent(wrap).setButtonText(`Show ${Math.min(200, rows.length - this.limit)} more`).onClick(() => { this.limit += 200; this.renderTable(); });
+  }
+}
+
+class ProfileSuggestModal extends FuzzySuggestModal {
+  constructor(app, plugin) { super(app); this.plugin = plugin; this.setPlaceholder('Switch language profile'); }
+  getItems() { return this.plugin.settings.profiles; }
+  getItemText(p) { return `${p.name} (${p.targetLang}, ${PROVIDER_LABELS[p.provider] || p.provider}, ${normalizeMode(p.mode)})`; }
+  onChooseItem(p) { this.plugin.switchProfile(p.name); }
+}
+
+/** Picks a pack or review file (PO/XLIFF) from the pack folder */
+class PackSuggestModal extends FuzzySuggestModal {
+  constructor(app, plugin, files) { super(app); this.plugin = plugin; this.files = files; this.setPlaceholder('Choose a translation pack to import'); }
+  getItems() { return this.files; }
+  getItemText(path) { return path.split('/').pop(); }
+  onChooseItem(path) { if (/\.json$/i.test(path)) this.plugin.importPack(path); else this.plugin.importReview(path); }
+}
+
 /* Settings Tab class fixed below */
 class AutoTranslateSettingsTab extends PluginSettingTab {
   constructor(app, plugin) { super(app, plugin); this.plugin = plugin; }
@@ -540,10 +2688,41 @@ class AutoTranslateSettingsTab extends PluginSettingTab {
 
     new Setting(containerEl)
       .setName('Provider')
-      .setDesc('Default is Azure Translator (F0). You can switch to Google or DeepL Free.')
-      .addDropdown(dd => dd.addOptions({ azure: 'Azure', google: 'Google', deepl: 'DeepL' })
+      .setDesc('Default is Azure Translator (F0). You can switch to Google, DeepL Free, or a local LibreTranslate / OpenAI-compatible server.')
+      .addDropdown(dd => dd.addOptions(PROVIDER_LABELS)
         .setValue(this.plugin.settings.provider)
-        .onChange(async v => { this.plugin.settings.provider = v; this.plugin.setProvider(v); await this.plugin.saveSettings(); }));
+        .onChange(async v => { this.plugin.settings.provider = v; this.plugin.setProvider(v); await this.plugin.saveSettings(); this.display(); }));
+
+    containerEl.createEl('h3', { text: 'Fallback & Retry' });
+    const fallbacks = this.plugin.settings.fallbackProviders || (this.plugin.settings.fallbackProviders = []);
+    fallbacks.forEach((name, i) => {
+      new Setting(containerEl).setName(`Fallback ${i + 1}`)
+        .setDesc(this.plugin.chain.isCoolingDown(name) ? `Paused after repeated failures: ${this.plugin.chain.health[name].lastError || ''}` : '')
+        .addDropdown(dd => dd.addOptions(PROVIDER_LABELS).setValue(name)
+          .onChange(async v => { fallbacks[i] = v; await this.plugin.saveSettings(); }))
+        .addExtraButton(b => b.setIcon('arrow-up').setTooltip('Move up').setDisabled(i === 0).onClick(async () => {
+          if (i === 0) return; [fallbacks[i - 1], fallbacks[i]] = [fallbacks[i], fallbacks[i - 1]]; await this.plugin.saveSettings(); this.display();
+        }))
+        .addExtraButton(b => b.setIcon('trash').setTooltip('Remove').onClick(async () => { fallbacks.splice(i, 1); await this.plugin.saveSettings(); this.display(); }));
+    });
+    new Setting(containerEl).setName('Add fallback provider')
+      .setDesc('Tried in order when the main provider fails, e.g. DeepL → Google → Azure.')
+      .addButton(b => b.setButtonText('Add').onClick(async () => {
+        const next = Object.keys(PROVIDERS).find(n => n !== this.plugin.settings.provider && !fallbacks.includes(n)) || 'google';
+        fallbacks.push(next); await this.plugin.saveSettings(); this.display();
+      }));
+    const retry = this.plugin.settings.retry || (this.plugin.settings.retry = { ...DEFAULT_SETTINGS.retry });
+    new Setting(containerEl).setName('Retries on 429/5xx')
+      .setDesc('Exponential backoff; Retry-After from the server is honored.')
+      .addText(t => t.setValue(String(retry.maxRetries))
+        .onChange(async v => { retry.maxRetries = Math.max(0, Number(v) || 0); await this.plugin.saveSettings(); }));
+    new Setting(containerEl).setName('Failures before cooldown')
+      .addText(t => t.setValue(String(retry.failureThreshold))
+        .onChange(async v => { retry.failureThreshold = Math.max(1, Number(v) || 3); await this.plugin.saveSettings(); }));
+    new Setting(containerEl).setName('Cooldown (seconds)')
+      .setDesc('How long a failing provider is skipped before it is tried again.')
+      .addText(t => t.setValue(String(retry.cooldownSec))
+        .onChange(async v => { retry.cooldownSec = Math.max(1, Number(v) || 300); await this.plugin.saveSettings(); }));
 
     containerEl.createEl('h3', { text: 'API Keys' });
     new Setting(containerEl).setName('Azure Key')
@@ -568,35 +2747,149 @@ class AutoTranslateSettingsTab extends PluginSettingTab {
       .addText(t => t.setPlaceholder('https://api-free.deepl.com').setValue(this.plugin.settings.apiKeys.deepl.endpoint)
         .onChange(async v => { this.plugin.settings.apiKeys.deepl.endpoint = v.trim() || 'https://api-free.deepl.com'; await this.plugin.saveSettings(); }));
 
+    new Setting(containerEl).setName('LibreTranslate URL')
+      .setDesc('Base URL of the instance, e.g. http://localhost:5000')
+      .addText(t => t.setPlaceholder('http://localhost:5000').setValue(this.plugin.settings.apiKeys.libre.endpoint)
+        .onChange(async v => { this.plugin.settings.apiKeys.libre.endpoint = v.trim() || 'http://localhost:5000'; await this.plugin.saveSettings(); }));
+    new Setting(containerEl).setName('LibreTranslate API Key (optional)')
+      .addText(t => t.setPlaceholder('api_key').setValue(this.plugin.settings.apiKeys.libre.key)
+        .onChange(async v => { this.plugin.settings.apiKeys.libre.key = v.trim(); await this.plugin.saveSettings(); }));
+
+    new Setting(containerEl).setName('LLM base URL')
+      .setDesc('OpenAI-compatible /v1 base (Ollama: http://localhost:11434/v1, llama.cpp: http://localhost:8080/v1)')
+      .addText(t => t.setPlaceholder('http://localhost:11434/v1').setValue(this.plugin.settings.apiKeys.llm.endpoint)
+        .onChange(async v => { this.plugin.settings.apiKeys.llm.endpoint = v.trim() || 'http://localhost:11434/v1'; await this.plugin.saveSettings(); }));
+    new Setting(containerEl).setName('LLM API Key (optional)')
+      .addText(t => t.setPlaceholder('Bearer token').setValue(this.plugin.settings.apiKeys.llm.key)
+        .onChange(async v => { this.plugin.settings.apiKeys.llm.key = v.trim(); await this.plugin.saveSettings(); }));
+    new Setting(containerEl).setName('LLM model')
+      .addText(t => t.setPlaceholder('llama3.1').setValue(this.plugin.settings.apiKeys.llm.model)
+        .onChange(async v => { this.plugin.settings.apiKeys.llm.model = v.trim(); await this.plugin.saveSettings(); }));
+    new Setting(containerEl).setName('LLM strings per request')
+      .setDesc('How many strings go into one JSON array. Small local models stay accurate with 10-20.')
+      .addText(t => t.setValue(String(this.plugin.settings.apiKeys.llm.batchSize || 20))
+        .onChange(async v => { this.plugin.settings.apiKeys.llm.batchSize = Math.max(1, Number(v) || 20); await this.plugin.saveSettings(); }));
+    new Setting(containerEl).setName('LLM prompt template')
+      .setDesc('System prompt; {{source}} and {{target}} become language names. Leave empty for the built-in prompt.')
+      .addTextArea(t => t.setPlaceholder(DEFAULT_LLM_PROMPT).setValue(this.plugin.settings.apiKeys.llm.prompt || '')
+        .onChange(async v => { this.plugin.settings.apiKeys.llm.prompt = v; await this.plugin.saveSettings(); }));
+
+    const pseudo = this.plugin.settings.apiKeys.pseudo;
+    const pseudoChanged = async () => { await this.plugin.saveSettings(); if (this.plugin.providerName === 'pseudo') this.plugin.rerender(); };
+    new Setting(containerEl).setName('Pseudo-localization: accents')
+      .setDesc('Offline test provider for checking layouts and untranslated strings. Its output is never cached.')
+      .addToggle(t => t.setValue(pseudo.accents !== false).onChange(async v => { pseudo.accents = v; await pseudoChanged(); }));
+    new Setting(containerEl).setName('Pseudo-localization: brackets')
+      .setDesc('Wraps every string in [ ] so truncation and concatenated strings stand out')
+      .addToggle(t => t.setValue(pseudo.brackets !== false).onChange(async v => { pseudo.brackets = v; await pseudoChanged(); }));
+    new Setting(containerEl).setName('Pseudo-localization: length expansion (%)')
+      .setDesc('Extra length, e.g. 30-40 to approximate German or Finnish')
+      .addText(t => t.setValue(String(pseudo.expansion ?? 30)).onChange(async v => { pseudo.expansion = Math.max(0, Number(v) || 0); await pseudoChanged(); }));
+
     containerEl.createEl('h3', { text: 'Language & Mode' });
+    this.renderProfiles(containerEl);
     new Setting(containerEl).setName('Source language')
       .addText(t => t.setPlaceholder('auto').setValue(this.plugin.settings.sourceLang)
         .onChange(async v => { this.plugin.settings.sourceLang = (v || 'auto').trim(); await this.plugin.saveSettings(); }));
-    new Setting(containerEl).setName('Target language')
-      .addText(t => t.setPlaceholder('ko').setValue(this.plugin.settings.targetLang)
-        .onChange(async v => { this.plugin.settings.targetLang = (v || 'ko').trim(); await this.plugin.saveSettings(); await this.plugin.diskCache.load(); }));
+    const target = new Setting(containerEl).setName('Target language')
+      .setDesc(`Languages supported by ${PROVIDER_LABELS[this.plugin.settings.provider] || this.plugin.settings.provider}.`);
+    target.addDropdown(async dd => {
+      const current = this.plugin.settings.targetLang;
+      dd.addOption(current, current).setValue(current).setDisabled(true);
+      const langs = await this.plugin.providerLanguages(this.plugin.settings.provider);
+      dd.selectEl.empty();
+      const known = langs.some(l => l.code.toLowerCase() === current.toLowerCase());
+      if (!known) { dd.addOption(current, `${current} (not supported)`); target.descEl.addClass('mod-warning'); }
+      langs.slice().sort((a, b) => a.name.localeCompare(b.name)).forEach(l => dd.addOption(l.code, `${l.name} (${l.code})`));
+      dd.setValue(langs.find(l => l.code.toLowerCase() === current.toLowerCase())?.code || current).setDisabled(false)
+        .onChange(async v => { await this.plugin.setTargetLang(v); this.plugin.updateProfileStatus(); });
+    });
     new Setting(containerEl).setName('Render mode')
-      .addDropdown(dd => dd.addOptions({ replace: 'Replace (default)',  tooltip: 'Tooltip only' })
-        .setValue(this.plugin.settings.mode)
-        .onChange(async v => { this.plugin.settings.mode = v; await this.plugin.saveSettings(); this.plugin.refreshAll(); }));
+      .setDesc('Bilingual keeps the original and shows the translation below it. Tooltip shows the translation on hover.')
+      .addDropdown(dd => dd.addOptions(RENDER_MODES)
+        .setValue(normalizeMode(this.plugin.settings.mode))
+        .onChange(async v => { this.plugin.settings.mode = v; await this.plugin.saveSettings(); this.plugin.rerender(); }));
+
+    containerEl.createEl('h3', { text: 'Skip rules' });
+    containerEl.createEl('p', { cls: 'setting-item-description', text: 'Strings matching these rules are shown as they are and never sent to a provider.' });
+    const skip = this.plugin.settings.skip || (this.plugin.settings.skip = { ...DEFAULT_SETTINGS.skip });
+    const skipChanged = async () => { this.plugin.skipMemo = null; await this.plugin.saveSettings(); };
+    new Setting(containerEl).setName('Already in the target language')
+      .setDesc('Detected by script (Hangul for ko, Kana/Han for ja, Cyrillic for ru, ...).')
+      .addToggle(t => t.setValue(skip.targetScript !== false).onChange(async v => { skip.targetScript = v; await skipChanged(); }));
+    new Setting(containerEl).setName('Numbers, versions, symbols and emoji')
+      .addToggle(t => t.setValue(skip.numeric !== false).onChange(async v => { skip.numeric = v; await skipChanged(); }));
+    new Setting(containerEl).setName('Code-like strings')
+      .setDesc('plugin-id, snake_case, camelCase, hex colors, bare URLs and paths.')
+      .addToggle(t => t.setValue(skip.codeLike !== false).onChange(async v => { skip.codeLike = v; await skipChanged(); }));
+    new Setting(containerEl).setName('Minimum length')
+      .addText(t => t.setValue(String(skip.minLength ?? 2)).onChange(async v => { skip.minLength = Math.max(0, Number(v) || 0); await skipChanged(); }));
+
+    containerEl.createEl('h3', { text: 'Glossary' });
+    containerEl.createEl('p', { cls: 'setting-item-description', text: 'Terms with a fixed translation. Leave the translation empty (or turn on "Keep") to never translate the term, e.g. Vault, Canvas, Dataview.' });
+    const glossary = this.plugin.settings.glossary || (this.plugin.settings.glossary = []);
+    const glossaryChanged = this.plugin.debounce(() => this.plugin.onGlossaryChanged(), 800);
+    glossary.forEach((g, i) => {
+      new Setting(containerEl).setClass('autotrans-glossary-row')
+        .addText(t => t.setPlaceholder('Term').setValue(g.term || '')
+          .onChange(v => { g.term = v; glossaryChanged(); }))
+        .addText(t => t.setPlaceholder('Translation (empty = keep)').setValue(g.translation || '')
+          .onChange(v => { g.translation = v; glossaryChanged(); }))
+        .addToggle(t => t.setTooltip('Keep (do not translate)').setValue(!!g.keep)
+          .onChange(v => { g.keep = v; glossaryChanged(); }))
+        .addExtraButton(b => b.setIcon('trash').setTooltip('Remove').onClick(async () => { glossary.splice(i, 1); await this.plugin.onGlossaryChanged(); this.display(); }));
+    });
+    new Setting(containerEl)
+      .addButton(b => b.setButtonText('Add term').onClick(async () => { glossary.push({ term: '', translation: '', keep: true }); await this.plugin.saveSettings(); this.display(); }));
 
     containerEl.createEl('h3', { text: 'Selectors' });
     new Setting(containerEl).setName('Include selectors')
       .setDesc('Comma-separated CSS selectors to translate')
       .addTextArea(t => t.setValue(this.plugin.settings.includeSelectors.join(', '))
-        .onChange(async v => { this.plugin.settings.includeSelectors = v.split(',').map(s => s.trim()).filter(Boolean); await this.plugin.saveSettings(); }));
+        .onChange(async v => { const list = checkSelectorInput(t.inputEl, v); if (!list) return; this.plugin.settings.includeSelectors = list; await this.plugin.saveSettings(); }));
     new Setting(containerEl).setName('Exclude selectors')
       .setDesc('Comma-separated CSS selectors to skip')
       .addTextArea(t => t.setValue(this.plugin.settings.excludeSelectors.join(', '))
-        .onChange(async v => { this.plugin.settings.excludeSelectors = v.split(',').map(s => s.trim()).filter(Boolean); await this.plugin.saveSettings(); }));
+        .onChange(async v => { const list = checkSelectorInput(t.inputEl, v); if (!list) return; this.plugin.settings.excludeSelectors = list; await this.plugin.saveSettings(); }));
+    new Setting(containerEl).setName('Extra surfaces')
+      .setDesc('Comma-separated containers to watch besides modals and settings. Only these are scanned for changes.')
+      .addTextArea(t => t.setPlaceholder('.workspace-leaf-content[data-type="my-view"]').setValue((this.plugin.settings.surfaces || []).join(', '))
+        .onChange(async v => { const list = checkSelectorInput(t.inputEl, v); if (!list) return; this.plugin.settings.surfaces = list; await this.plugin.saveSettings(); this.plugin.attachSurfaces(document.body); }));
+
+    containerEl.createEl('h3', { text: 'Other UI surfaces' });
+    for (const [name, surface] of Object.entries(UI_SURFACES)) {
+      new Setting(containerEl).setName(surface.label).setDesc(surface.desc)
+        .addToggle(t => t.setValue(this.plugin.uiSurfaceOn(name))
+          .onChange(async v => { this.plugin.settings.uiSurfaces[name] = v; await this.plugin.saveSettings(); this.plugin.onUiSurfacesChanged(); }));
+    }
 
-    containerEl.createEl('h3', { text: 'Per-plugin custom selectors' });
-    new Setting(containerEl)
-      .setName('Plugin selectors JSON')
-      .setDesc('Example: {"my-plugin": [".label", "select>option"]}')
-      .addTextArea(t => t.setPlaceholder('{"plugin-id": [".selector"]}')
-        .setValue(JSON.stringify(this.plugin.settings.pluginSelectors || {}, null, 2))
-        .onChange(async v => { try { this.plugin.settings.pluginSelectors = JSON.parse(v || '{}'); await this.plugin.saveSettings(); } catch (e) { new Notice('Invalid JSON'); } }));
+    containerEl.createEl('h3', { text: 'Per-plugin settings' });
+    containerEl.createEl('p', { cls: 'setting-item-description', text: 'Applies inside each plugin\'s settings tab. Extra selectors are comma-separated, e.g. .label, select>option' });
+    this.renderPluginTable(containerEl.createDiv({ cls: 'autotrans-plugin-table-wrap' }));
+
+    containerEl.createEl('h3', { text: 'Usage & Budget' });
+    containerEl.createEl('p', { cls: 'setting-item-description', text: 'Characters sent to each provider (billable). A monthly budget of 0 means unlimited; when every provider in the chain is over budget, cache-only mode turns on until next month.' });
+    const usageTable = containerEl.createEl('table', { cls: 'autotrans-plugin-table autotrans-usage-table' });
+    const usageHead = usageTable.createEl('thead').createEl('tr');
+    ['Provider', 'Today', 'This month', 'Last 30 days', 'Monthly budget'].forEach(h => usageHead.createEl('th', { text: h }));
+    const usageBody = usageTable.createEl('tbody');
+    const budgets = this.plugin.settings.budgets || (this.plugin.settings.budgets = {});
+    const fmt = n => Number(n || 0).toLocaleString();
+    for (const name of Object.keys(PROVIDERS).filter(n => !isEphemeral(n))) {
+      const days = this.plugin.settings.usage?.[name]?.days || {};
+      const since = dayKey(new Date(Date.now() - 29 * 864e5));
+      const last30 = Object.entries(days).filter(([d]) => d >= since).reduce((n, [, v]) => n + v, 0);
+      const tr = usageBody.createEl('tr', { cls: this.plugin.isOverBudget(name) ? 'is-over-budget' : '' });
+      tr.createEl('td', { text: PROVIDER_LABELS[name] });
+      tr.createEl('td', { text: fmt(this.plugin.usageOf(name, 'day')) });
+      const cap = Number(budgets[name]) || 0; const month = this.plugin.usageOf(name);
+      tr.createEl('td', { text: cap ? `${fmt(month)} (${Math.floor(month / cap * 100)}%)` : fmt(month) });
+      tr.createEl('td', { text: fmt(last30) });
+      new TextComponent(tr.createEl('td')).setPlaceholder('0').setValue(cap ? String(cap) : '')
+        .onChange(async v => { const n = Math.max(0, Number(v.replace(/[^\d]/g, '')) || 0); if (n) budgets[name] = n; else delete budgets[name]; await this.plugin.saveSettings(); });
+    }
+    new Setting(containerEl).setName('Reset usage counters')
+      .addButton(b => b.setButtonText('Reset').onClick(async () => { this.plugin.settings.usage = {}; await this.plugin.saveSettings(); this.display(); }));
 
     containerEl.createEl('h3', { text: 'Cache & Rate Limit' });
     new Setting(containerEl).setName('Memory cache size (LRU)')
@@ -615,22 +2908,110 @@ class AutoTranslateSettingsTab extends PluginSettingTab {
         .onChange(async v => { this.plugin.settings.offlineOnly = v; await this.plugin.saveSettings(); new Notice(`Cache-only: ${v ? 'ON' : 'OFF'}`); }));
 
     new Setting(containerEl).setName('Pre-translate all settings (build cache)')
-      .setDesc('설정 모달의 모든 탭을 순회하며 문자열을 수집·번역 후 캐시에 저장합니다. 완료 후 자동으로 Cache-only 모드가 켜집니다.')
-      .addButton(b => b.setButtonText('Build now').onClick(async () => { await this.plugin.prebuildCacheAllSettings(); }));
-
-    new Setting(containerEl).setName('Export cache')
-      .addButton(b => b.setButtonText('Export').onClick(async () => { try { const raw = JSON.stringify(this.plugin.diskCache.map, null, 2); const path = `${this.app.vault.configDir}/plugins/${this.plugin.manifest.id}/cache/export-${this.plugin.settings.targetLang}.json`; await this.app.vault.adapter.write(path, raw); new Notice('Exported cache to ' + path); } catch (e) { new Notice('Export failed'); } }));
-
-    new Setting(containerEl).setName('Import cache (replace current)')
-      .addButton(b => b.setButtonText('Import from file path').onClick(async () => {
-        const path = await new Promise(res => { const p = prompt('Enter path to JSON file (inside vault):', `${this.app.vault.configDir}/plugins/${this.plugin.manifest.id}/cache/export-${this.plugin.settings.targetLang}.json`); res(p); });
-        if (!path) return;
-        try { const raw = await this.plugin.app.vault.adapter.read(path); const obj = JSON.parse(raw); this.plugin.diskCache.map = obj || {}; await this.plugin.diskCache.flush(); new Notice('Imported cache from ' + path); }
-        catch (e) { console.error(e); new Notice('Import failed'); }
+      .setDesc('설정 모달의 모든 탭을 순회하며 문자열을 수집·번역 후 캐시에 저장합니다. 중단하면 다음 실행 때 멈춘 탭부터 이어서 진행합니다. 완료 후 자동으로 Cache-only 모드가 켜집니다.')
+      .addButton(b => b.setButtonText('Build now').onClick(async () => { await this.plugin.prebuildCacheAllSettings(); }))
+      .addButton(b => b.setButtonText('Start over').setTooltip('Discard the checkpoint and crawl every tab again').onClick(async () => { await this.plugin.prebuildCacheAllSettings(true); }));
+
+    new Setting(containerEl).setName('Update cache for changed plugins')
+      .setDesc('설치/업데이트된 플러그인 탭만 다시 수집해 캐시에 없는 문자열만 번역하고, 삭제된 플러그인의 캐시는 정리합니다.')
+      .addButton(b => b.setButtonText('Update').onClick(() => this.plugin.updateCacheForPluginChanges(true)));
+    new Setting(containerEl).setName('Update automatically on startup')
+      .setDesc('Off: only notify when plugins changed. On: crawl the changed plugin tabs at startup.')
+      .addToggle(t => t.setValue(!!this.plugin.settings.autoUpdateCache)
+        .onChange(async v => { this.plugin.settings.autoUpdateCache = v; await this.plugin.saveSettings(); }));
+
+    containerEl.createEl('h3', { text: 'Translation packs' });
+    new Setting(containerEl).setName('Pack folder')
+      .setDesc('Readable JSON packs (source, translation, plugin id and version) to share, e.g. a folder in a synced git repo. Per-plugin export is in the table above.')
+      .addText(t => t.setPlaceholder(this.plugin.packFolder()).setValue(this.plugin.settings.packFolder || '')
+        .onChange(async v => { this.plugin.settings.packFolder = v.trim(); await this.plugin.saveSettings(); }));
+    new Setting(containerEl).setName('Translation memory')
+      .setDesc('Search, edit, lock, delete or re-translate individual cached entries')
+      .addButton(b => b.setButtonText('Open').onClick(() => this.plugin.openMemoryView()));
+    new Setting(containerEl).setName('Export all')
+      .addButton(b => b.setButtonText('Export pack').onClick(() => this.plugin.exportPack()));
+    new Setting(containerEl).setName('Export for review')
+      .setDesc('gettext .po (Poedit) or XLIFF for CAT tools, with the provider as a note and the settings tab as context')
+      .addButton(b => b.setButtonText('.po').onClick(() => this.plugin.exportReview('po')))
+      .addButton(b => b.setButtonText('XLIFF 1.2').onClick(() => this.plugin.exportReview('xliff12')))
+      .addButton(b => b.setButtonText('XLIFF 2.0').onClick(() => this.plugin.exportReview('xliff20')));
+    new Setting(containerEl).setName('Import pack (merge)')
+      .setDesc('Merges a .json pack into the current cache. On conflicts keep mine, take theirs, or keep whichever is newer. Reviewed .po/.xlf files are imported as human-verified and never re-translated.')
+      .addDropdown(dd => dd.addOptions({ newest: 'Newest wins', mine: 'Keep mine', theirs: 'Take theirs' })
+        .setValue(this.plugin.settings.packConflict || 'newest')
+        .onChange(async v => { this.plugin.settings.packConflict = v; await this.plugin.saveSettings(); }))
+      .addButton(b => b.setButtonText('Import…').onClick(async () => {
+        const folder = this.plugin.packFolder();
+        let files = [];
+        try { files = (await this.app.vault.adapter.list(folder)).files.filter(f => /\.(json|po|xlf|xliff)$/i.test(f)); } catch {}
+        if (!files.length) { new Notice(`No packs or review files in ${folder}`); return; }
+        new PackSuggestModal(this.app, this.plugin, files).open();
       }));
 
     containerEl.createEl('h3', { text: 'Diagnostics' });
+    new Setting(containerEl).setName('Pick element')
+      .setDesc('Highlights elements under the mouse; click one to add a selector. Switch settings tabs while picking, press C for untranslated text in the tab, Esc to cancel.')
+      .addButton(b => b.setButtonText('Start picker').onClick(() => this.plugin.picker.start()));
     new Setting(containerEl).setName('Test translate "Hello"')
       .addButton(b => b.setButtonText('Run').onClick(async () => { try { const r = await this.plugin.translateMany(['Hello']); new Notice('Result: ' + r[0]); } catch (e) { new Notice('Failed: ' + (e.message || e)); } }));
   }
+
+  renderProfiles(containerEl) {
+    const plugin = this.plugin; const settings = plugin.settings;
+    containerEl.createEl('p', { cls: 'setting-item-description', text: 'Each profile has its own target language, provider and render mode; the settings below edit the active one. Switch from the status bar or the "Switch language profile" command.' });
+    for (const p of settings.profiles) {
+      const active = p.name === settings.activeProfile;
+      const row = new Setting(containerEl).setDesc(`${p.targetLang} · ${PROVIDER_LABELS[p.provider] || p.provider} · ${normalizeMode(p.mode)}${active ? ' · active' : ''}`)
+        .addText(t => t.setValue(p.name).onChange(async v => {
+          v = v.trim(); if (!v || settings.profiles.some(o => o !== p && o.name === v)) return;
+          if (settings.activeProfile === p.name) settings.activeProfile = v;
+          p.name = v; await plugin.saveSettings(); plugin.updateProfileStatus();
+        }));
+      if (!active) row.addButton(b => b.setButtonText('Switch').onClick(async () => { await plugin.switchProfile(p.name); this.display(); }));
+      if (settings.profiles.length > 1 && !active) row.addExtraButton(b => b.setIcon('trash').setTooltip('Delete profile').onClick(async () => {
+        settings.profiles.splice(settings.profiles.indexOf(p), 1); await plugin.saveSettings(); this.display();
+      }));
+    }
+    new Setting(containerEl).addButton(b => b.setButtonText('Add profile').onClick(async () => {
+      let n = settings.profiles.length + 1; while (settings.profiles.some(p => p.name === `Profile ${n}`)) n++;
+      settings.profiles.push({ name: `Profile ${n}`, targetLang: settings.targetLang, provider: settings.provider, mode: settings.mode });
+      await plugin.saveSettings(); this.display();
+    }));
+  }
+
+  renderPluginTable(wrap) {
+    const plugin = this.plugin; const settings = plugin.settings;
+    settings.pluginOptions = settings.pluginOptions || {}; settings.pluginSelectors = settings.pluginSelectors || {};
+    const manifests = plugin.getPluginManifests();
+    // installed plugins plus ids that only exist in saved settings, so nothing configured is hidden
+    const ids = new Set([...Object.keys(manifests), ...Object.keys(settings.pluginOptions), ...Object.keys(settings.pluginSelectors)]);
+    const rows = Array.from(ids).map(id => ({ id, name: manifests[id]?.name || id, installed: !!manifests[id] })).sort((a, b) => a.name.localeCompare(b.name));
+    const opts = id => settings.pluginOptions[id] || (settings.pluginOptions[id] = { enabled: true, mode: 'inherit' });
+    const restyle = plugin.debounce(() => plugin.rerender(), 300);
+
+    const table = wrap.createEl('table', { cls: 'autotrans-plugin-table' });
+    const head = table.createEl('thead').createEl('tr');
+    ['Plugin', 'Translate', 'Mode', 'Extra selectors', 'Cache'].forEach(h => head.createEl('th', { text: h }));
+    const body = table.createEl('tbody');
+    if (!rows.length) body.createEl('tr').createEl('td', { text: 'No community plugins installed', attr: { colspan: 5 } });
+    for (const row of rows) {
+      const tr = body.createEl('tr', { cls: row.installed ? '' : 'is-missing' });
+      const nameTd = tr.createEl('td');
+      nameTd.createDiv({ text: row.name }); nameTd.createDiv({ cls: 'autotrans-plugin-id', text: row.installed ? row.id : `${row.id} (not installed)` });
+      new ToggleComponent(tr.createEl('td')).setValue(plugin.getPluginOptions(row.id).enabled !== false)
+        .onChange(async v => { opts(row.id).enabled = v; await plugin.saveSettings(); restyle(); });
+      new DropdownComponent(tr.createEl('td')).addOptions({ inherit: 'Global', replace: 'Replace', bilingual: 'Bilingual', tooltip: 'Tooltip' })
+        .setValue(plugin.getPluginOptions(row.id).mode === 'inline' ? 'bilingual' : (plugin.getPluginOptions(row.id).mode || 'inherit'))
+        .onChange(async v => { opts(row.id).mode = v; await plugin.saveSettings(); restyle(); });
+      const selText = new TextComponent(tr.createEl('td')).setPlaceholder('.my-selector').setValue((settings.pluginSelectors[row.id] || []).join(', '));
+      selText.onChange(async v => {
+        const list = checkSelectorInput(selText.inputEl, v); if (!list) return;
+        if (list.length) settings.pluginSelectors[row.id] = list; else delete settings.pluginSelectors[row.id];
+        await plugin.saveSettings();
+      });
+      const cacheTd = tr.createEl('td');
+      if (row.installed) new ButtonComponent(cacheTd).setButtonText('Rebuild').setTooltip('Re-translate this plugin\'s settings tab').onClick(() => plugin.rebuildPluginCache(row.id));
+      if (settings.pluginOptions[row.id] !== undefined || plugin.diskCache.index.owners?.[row.id]) new ButtonComponent(cacheTd).setButtonText('Export').setTooltip('Export a translation pack for this plugin').onClick(() => plugin.exportPack(row.id));
+    }
+  }
 }